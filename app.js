@@ -3,105 +3,513 @@
  */
 const state = {
     verses: [],        // Processed verses
-    favorites: [],     // Array of verse IDs
+    favorites: [],     // [{ id, added (ms), collections: [names] }], see FAVORITES
+    collections: [],   // User-named collections, in the order they were created
+    tags: {},          // Verse ID -> the reader's own tag names (see TAGS)
+    notes: {},         // Verse ID -> private note
+    favoritesView: { sort: 'added', collection: null }, // Favorites page: 'added'|'verse'|'chapter', collection filter
+    settings: { theme: null, phonetic: false, translit: null }, // Saved preferences (see lib/user-data.js)
+    history: { visits: [], read: [], days: [] }, // Reading history: recent visits, verses read, reading days
+    practice: {}, // Memorization cards by verse id (see lib/practice.js)
+    practiceSession: null, // The #practice/<deck> session in progress
+    wordsView: { filter: '', sort: 'count', limit: 300 }, // #words list options
+    currentWord: null, // Word shown on #words/<word>
     isDarkMode: false,
+    phoneticInput: false, // Search boxes convert Latin keystrokes to Kannada ("nAnu" -> ನಾನು)
+    translitScheme: 'iast', // Transliterate.SCHEMES id, or 'editor' for the curated field
     searchQuery: '',
-    currentPage: 1,
-    itemsPerPage: 1000,
-    currentRoute: 'home' // 'home', 'favorites', 'detail'
+    searchResults: null, // { query, ids (ranked), terms (folded, for highlighting) } for searchQuery
+    currentRoute: 'home', // 'home', 'favorites', 'recent', 'chapters', 'chapter', 'tags', 'tag', 'practice', 'words', 'detail'
+    currentChapter: null, // Normalized chapter name while on #chapter/<name>
+    currentTag: null,  // Tag name while on #tag/<name>
+    currentVerseId: null, // Verse on the detail route (#verse/<id> or #today)
+    navContext: null,  // The list the reader came from, for prev/next in the detail view
+    pendingAnchor: null, // { id, offset } of the verse to scroll back to once the list has rendered
+    manifest: null,    // data/manifest.json (verse index + chunk list)
+    related: null,     // Promise of { verseId: [related ids] }, fetched on first use (see loadRelated)
+    isStreaming: false, // True while the remaining chunks are still loading
+    loadErrors: {}     // Verse ID -> reason, for verses that failed to load or validate
 };
 
-// Define all available verse IDs to load
-// UPDATED: Now includes IDs 1 through 10
-//const ALL_VERSE_IDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24]; 
-const ALL_VERSE_IDS = Array.from({ length: 1000 }, (_, i) => i + 1);
+// Generated by scripts/build-data.js: lists every verse and the chunk files holding them
+const DATA_MANIFEST_URL = 'data/manifest.json';
+// Routes that show a verse list (search, scroll anchors and prev/next apply to these)
+const LIST_ROUTES = ['home', 'favorites', 'recent', 'chapter', 'tag'];
+// Periodic background sync tag for the Verse of the Day notification (handled in sw.js)
+const DAILY_REMINDER_TAG = 'daily-verse';
+// Backoff (ms) between retries of a failed data request
+const LOAD_RETRY_DELAYS = [500, 1500, 4000];
 
 /**
  * INITIALIZATION
  */
 document.addEventListener('DOMContentLoaded', () => {
+    adoptStaticVerseUrl();
+    // Favorites, notes and settings (localStorage, migrated to the current schema)
+    loadUserData();
+    applyLanguage();
     initTheme();
     setupEventListeners();
+    initPhoneticInput();
+    initTranslitScheme();
+    applyReadingPrefs();
+    registerServiceWorker();
     // Start data loading process
     initData(); 
 });
 
+// Pre-rendered verse pages (verse/<id>/, see scripts/build-pages.js) continue as the app's #verse/<id>
+function adoptStaticVerseUrl() {
+    const match = location.pathname.match(/\/verse\/(\d+)\/(index\.html)?$/);
+    if (!match) return;
+    history.replaceState(history.state, '', new URL(`../../#verse/${match[1]}`, location.href).href);
+}
+
 /**
- * DATA PROCESSING & LOADING (Uses Fetch to load individual JSON files)
+ * DATA PROCESSING & LOADING (Manifest first, then chunked corpus files)
  */
 async function initData() {
-    console.log("Starting data initialization and JSON fetching...");
+    console.log("Starting data initialization: fetching manifest...");
     
-    // 1. Load Favorites from localStorage
-    const savedFavs = localStorage.getItem('mudduRamanaManasu_favs');
-    if (savedFavs) state.favorites = JSON.parse(savedFavs);
-    
-    // 2. Fetch all JSON files concurrently
-    const fetchPromises = ALL_VERSE_IDS.map(id => 
-        // UPDATED FETCH URL: Added '.0' to match the actual file names (e.g., verse_1.0.json)
-        fetch(`data/verse_${id}.0.json`)
-            .then(res => {
-                if (!res.ok) {
-                    // This error will now be more accurate if a file is still missing
-                    throw new Error(`Failed to load verse ${id} with status ${res.status}`);
-                }
-                return res.json();
-            })
-    );
-
+    // 1. Read the manifest (always revalidate, it is tiny and changes on every data deploy)
+    // Without it we don't know which verses exist, so this is the only fatal failure.
+    let manifest;
     try {
-        // Wait for all fetches to complete
-        const allVerseLines = await Promise.all(fetchPromises);
-        
-        // Flatten the array of arrays (since each JSON is an array of lines)
-        const rawData = allVerseLines.flat();
-
-        // 3. Group lines into Verses
-        const grouped = {};
-        rawData.forEach(record => {
-            // Note: The original JSON data structure uses 'verse_number' which is often a float (1.0)
-            // Using Math.floor ensures we get a clean integer ID for the app logic
-            const vNum = Math.floor(record.verse_number);
-            if (!grouped[vNum]) {
-                grouped[vNum] = {
-                    id: vNum,
-                    chapter: record.chapter,
-                    lines: []
-                };
-            }
-            grouped[vNum].lines.push(record);
-        });
-
-        // 4. Sort lines and convert to array
-        state.verses = Object.values(grouped).map(verse => {
-            verse.lines.sort((a, b) => (a.line_number || 0) - (b.line_number || 0));
-            return verse;
-        }).sort((a, b) => a.id - b.id);
-
-        console.log(`Successfully loaded and processed ${state.verses.length} verses.`);
-        
-        // 5. Start Routing after successful data load
-        handleRouting(); 
-
+        manifest = await fetchJSON(DATA_MANIFEST_URL, { cache: 'no-cache' });
     } catch (error) {
         console.error("Critical Error: Failed to load verses due to network or CORS issue.", error);
+        // Offline before the service worker had a chance to cache the data
+        const hint = navigator.onLine === false
+            ? `<p class="text-lg">${t('load.offline')}</p>
+               <p class="mt-2 text-sm">${t('load.offlineHint')}</p>`
+            // A fresh checkout: the manifest and chunks are generated, not committed
+            : error.status === 404
+            ? `<p class="text-lg">${t('load.notBuilt')}</p>
+               <p class="mt-2 text-sm">${t('load.notBuiltHint')}</p>`
+            : `<p class="text-lg">${t('load.noServer')}</p>
+               <p class="mt-2 text-sm">${t('load.noServerHint')}</p>`;
         document.getElementById('app-container').innerHTML = `
             <div class="text-center mt-20 p-8 bg-red-100 dark:bg-red-900 text-red-700 dark:text-red-300 rounded-lg shadow-md">
-                <h3 class="text-xl font-bold mb-3">Data Load Error</h3>
-                <p class="text-lg">Could not load verse data. This is often caused by trying to load local JSON files (using <code>fetch</code>) without a web server.</p>
-                <p class="mt-2 text-sm">Please open <code>index.html</code> using a local server (like "Live Server").</p>
-                <p class="mt-4 text-xs font-mono">${error.message}</p>
+                <h3 class="text-xl font-bold mb-3">${t('load.errorTitle')}</h3>
+                ${hint}
+                <p class="mt-4 text-xs font-mono">${SearchCore.escapeHTML(error.message)}</p>
             </div>
         `;
+        return;
+    }
+    state.manifest = manifest;
+    // Verses the data build rejected: reported like any verse that failed to load (retry re-checks the file)
+    (manifest.invalid || []).forEach(({ id, reason }) => { state.loadErrors[id] = reason; });
+    const [firstChunk, ...otherChunks] = manifest.chunks;
+
+    // 2. Load the first (small) chunk and show the first screen right away
+    state.isStreaming = otherChunks.length > 0;
+    await loadChunk(firstChunk);
+    handleRouting();
+
+    // 3. Stream in the remaining chunks in order, refreshing the view as they land
+    for (const [index, chunk] of otherChunks.entries()) {
+        await loadChunk(chunk);
+        state.isStreaming = index < otherChunks.length - 1;
+        onVersesStreamed();
+    }
+
+    // 4. Anything listed in the manifest that never arrived is reported, not silently dropped
+    const loadedIds = new Set(state.verses.map(v => v.id));
+    manifest.verses.forEach(([id]) => {
+        if (!loadedIds.has(id) && !state.loadErrors[id]) {
+            state.loadErrors[id] = 'Missing from the data bundle';
+        }
+    });
+    renderLoadErrorBanner();
+
+    // Ask the service worker whether a newer data version has been deployed
+    checkForDataUpdate();
+
+    console.log(`Loaded ${state.verses.length} of ${manifest.verseCount} verses, ${Object.keys(state.loadErrors).length} failed.`);
+}
+
+// Fetch + parse JSON. Errors carry a 'retryable' flag (network errors, 5xx, 408, 429)
+async function fetchJSON(url, options) {
+    let res;
+    try {
+        res = await fetch(url, options);
+    } catch (networkError) {
+        const error = new Error(`Failed to load ${url}: ${networkError.message}`);
+        error.retryable = true;
+        throw error;
+    }
+    if (!res.ok) {
+        const error = new Error(`Failed to load ${url} with status ${res.status}`);
+        error.status = res.status;
+        error.retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+        throw error;
+    }
+    try {
+        return await res.json();
+    } catch (parseError) {
+        throw new Error(`Broken JSON in ${url}`);
+    }
+}
+
+// fetchJSON with exponential backoff between attempts (transient errors only)
+async function fetchJSONWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fetchJSON(url, options);
+        } catch (error) {
+            if (!error.retryable || attempt >= LOAD_RETRY_DELAYS.length) throw error;
+            await new Promise(resolve => setTimeout(resolve, LOAD_RETRY_DELAYS[attempt]));
+        }
+    }
+}
+
+// Load one chunk; if the bundle itself fails, fall back to the individual verse files
+async function loadChunk(chunk) {
+    try {
+        addVerseRecords(await fetchJSONWithRetry(`data/${chunk.file}`));
+    } catch (error) {
+        console.warn(`Chunk ${chunk.file} failed (${error.message}), loading its verses one by one.`);
+        const ids = state.manifest.verses
+            .map(([id]) => id)
+            .filter(id => id >= chunk.from && id <= chunk.to);
+        await loadVerseFiles(ids);
+    }
+}
+
+// Load individual data/verse_N.0.json files, collecting errors per verse
+async function loadVerseFiles(ids) {
+    const results = await Promise.allSettled(
+        ids.map(id => fetchJSONWithRetry(`data/verse_${id}.0.json`))
+    );
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            addVerseRecords(result.value, ids[i]);
+        } else {
+            state.loadErrors[ids[i]] = result.reason.message;
+        }
+    });
+}
+
+/**
+ * Validate a batch of raw line records, group the good ones into verses and
+ * merge them into state. Bad records are reported per verse instead of
+ * breaking the grouping. 'expectedId' is set when loading a single verse file.
+ */
+function addVerseRecords(records, expectedId) {
+    if (!Array.isArray(records)) {
+        if (expectedId !== undefined) state.loadErrors[expectedId] = 'File is not a list of lines';
+        return;
+    }
+
+    const valid = [];
+    records.forEach(record => {
+        const problems = VerseData.validateRecord(record);
+        if (problems.length === 0) {
+            valid.push(record);
+            return;
+        }
+        const vNum = record && Number.isFinite(record.verse_number) ? Math.floor(record.verse_number) : expectedId;
+        console.warn(`Bad record for verse ${vNum}: ${problems.join(', ')}`, record);
+        if (vNum !== undefined) state.loadErrors[vNum] = `Bad record: ${problems.join(', ')}`;
+    });
+
+    searchEngine.add(valid);
+
+    const verses = VerseData.groupVerses(valid);
+    // A verse counts as loaded only if none of its records were rejected
+    verses.forEach(v => {
+        if (!(state.loadErrors[v.id] || '').startsWith('Bad record')) delete state.loadErrors[v.id];
+    });
+    state.verses = VerseData.mergeVerses(state.verses, verses);
+}
+
+// Re-fetch the verses that failed (from their single files) and refresh the view
+async function retryFailedVerses(ids) {
+    const retryIds = ids || Object.keys(state.loadErrors).map(Number);
+    retryIds.forEach(id => delete state.loadErrors[id]);
+    renderLoadErrorBanner(true);
+
+    await loadVerseFiles(retryIds);
+
+    renderLoadErrorBanner();
+    onVersesStreamed(true);
+}
+
+// Called after each streamed chunk: refresh whatever is on screen without jumping
+function onVersesStreamed(force) {
+    if (state.currentRoute === 'detail') {
+        const container = document.getElementById('app-container');
+        // Only re-render a detail page that was still waiting for (or failed on) its verse
+        if (force || container.querySelector('[data-verse-pending]')) renderDetail(state.currentVerseId);
+    } else if (state.currentRoute === 'chapters') {
+        renderChapterIndex();
+    } else if (state.currentRoute === 'tags') {
+        renderTagIndex();
+    } else if (state.currentRoute === 'words') {
+        // Counts grow as verses arrive; the filter box keeps its text and focus
+        if (state.currentWord) renderWordOccurrences(state.currentWord);
+        else if (document.getElementById('words-list')) renderWordsList();
+    } else if (state.currentRoute === 'practice') {
+        // Overview counts don't change; a session only re-renders when it was waiting for its verse
+        if (!state.practiceSession) renderPracticeOverview();
+        else if (force || document.querySelector('[data-verse-pending]')) renderPracticeSession();
+    } else if (state.searchQuery) {
+        // New verses may match: re-run the query, it re-renders when results arrive
+        runSearch();
+    } else {
+        extendList(state.currentRoute === 'favorites');
+    }
+}
+
+// Small banner above the list naming the verses that failed, with a retry button
+function renderLoadErrorBanner(isRetrying) {
+    const banner = document.getElementById('load-error-banner');
+    const failedIds = Object.keys(state.loadErrors).map(Number).sort((a, b) => a - b);
+
+    if (failedIds.length === 0 && !isRetrying) {
+        banner.classList.add('hidden');
+        banner.innerHTML = '';
+        return;
+    }
+
+    banner.classList.remove('hidden');
+    banner.innerHTML = `
+        <div class="flex items-center gap-3 p-3 rounded-xl bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-200 text-sm">
+            <i data-lucide="alert-triangle" class="w-5 h-5 flex-shrink-0"></i>
+            <p class="flex-1">${isRetrying
+                ? t('common.retrying')
+                : t('load.failedVerses', { count: failedIds.length, ids: formatIdRanges(failedIds) })}</p>
+            <button id="load-error-retry" class="px-3 py-1 rounded-full bg-white dark:bg-gray-800 shadow-sm font-medium disabled:opacity-50" ${isRetrying ? 'disabled' : ''}>${t('common.retry')}</button>
+        </div>
+    `;
+    document.getElementById('load-error-retry').onclick = () => retryFailedVerses();
+    if(window.lucide) lucide.createIcons();
+}
+
+// [1, 2, 3, 7, 9, 10] -> "1–3, 7, 9–10"
+function formatIdRanges(ids) {
+    const ranges = [];
+    ids.forEach(id => {
+        const last = ranges[ranges.length - 1];
+        if (last && id === last[1] + 1) last[1] = id;
+        else ranges.push([id, id]);
+    });
+    return ranges.map(([from, to]) => from === to ? formatNumber(from) : `${formatNumber(from)}–${formatNumber(to)}`).join(', ');
+}
+
+
+/**
+ * SEARCH (Inverted index in search-worker.js, see lib/search-core.js)
+ */
+const searchEngine = createSearchEngine();
+
+// Same interface whether the index lives in the worker or, as a fallback, on this thread
+function createSearchEngine() {
+    let worker = null;
+    let localIndex = null;
+    let seq = 0;
+    const pending = new Map(); // seq -> { query, resolve }
+
+    const useLocalIndex = () => {
+        worker = null;
+        localIndex = SearchCore.createIndex();
+        // Re-index whatever was already handed to the (failed) worker
+        localIndex.addRecords(state.verses.flatMap(v => v.lines));
+        pending.forEach(({ query, resolve }) => resolve(localIndex.search(query)));
+        pending.clear();
+    };
+
+    try {
+        worker = new Worker('search-worker.js');
+        worker.onmessage = (e) => {
+            const request = pending.get(e.data.seq);
+            if (!request) return;
+            pending.delete(e.data.seq);
+            request.resolve({ results: e.data.results, terms: e.data.terms });
+        };
+        worker.onerror = (e) => {
+            console.warn('Search worker failed, searching on the main thread instead.', e.message);
+            useLocalIndex();
+        };
+    } catch (error) {
+        // e.g. opened from file://, where workers can't be started
+        localIndex = SearchCore.createIndex();
+    }
+
+    return {
+        add(records) {
+            if (worker) worker.postMessage({ type: 'add', records });
+            else localIndex.addRecords(records);
+        },
+        search(query) {
+            if (!worker) return Promise.resolve(localIndex.search(query));
+            return new Promise(resolve => {
+                seq++;
+                pending.set(seq, { query, resolve });
+                worker.postMessage({ type: 'search', seq, query });
+            });
+        }
+    };
+}
+
+// Query the index for state.searchQuery and re-render the list with ranked results
+function runSearch() {
+    const query = state.searchQuery;
+    if (!query.trim()) {
+        state.searchResults = null;
+        renderCurrentList();
+        return;
     }
+
+    searchEngine.search(query).then(({ results, terms }) => {
+        if (query !== state.searchQuery) return; // A newer keystroke already replaced this query
+        state.searchResults = { query, ids: results.map(r => r.id), terms };
+        renderCurrentList();
+    });
+}
+
+// Re-render the verse list if one is on screen (home, favorites or a chapter)
+function renderCurrentList() {
+    if (!LIST_ROUTES.includes(state.currentRoute)) return;
+    renderList(state.currentRoute === 'favorites');
+    if(window.lucide) lucide.createIcons();
+}
+
+// Folded query terms to highlight, or [] when not searching
+function activeSearchTerms() {
+    const results = state.searchResults;
+    return state.searchQuery && results && results.query === state.searchQuery ? results.terms : [];
+}
+
+
+/**
+ * OFFLINE SUPPORT (Service Worker, see sw.js)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // A new app version installed while this one was open: offer a reload
+        const watchWorker = worker => {
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+                }
+            });
+        };
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdatePrompt(() => registration.waiting.postMessage({ type: 'SKIP_WAITING' }));
+        }
+        registration.addEventListener('updatefound', () => watchWorker(registration.installing));
+    }).catch(error => console.warn('Service worker registration failed:', error));
+
+    // The new worker took over (after SKIP_WAITING): reload once into the new version
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        const { type, hash } = event.data || {};
+        if (type === 'DATA_UPDATE_READY') {
+            showUpdatePrompt(() => navigator.serviceWorker.controller.postMessage({ type: 'ACTIVATE_DATA', hash }));
+        } else if (type === 'DATA_ACTIVATED') {
+            window.location.reload();
+        }
+    });
+}
+
+function checkForDataUpdate() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+    navigator.serviceWorker.controller.postMessage({ type: 'CHECK_DATA_UPDATE' });
+}
+
+// Bottom toast: "Update available" with a Reload button that runs onReload
+function showUpdatePrompt(onReload) {
+    const toast = document.getElementById('update-toast');
+    toast.classList.remove('hidden');
+    document.getElementById('update-reload-btn').onclick = () => {
+        document.getElementById('update-reload-btn').disabled = true;
+        onReload();
+    };
+    document.getElementById('update-dismiss-btn').onclick = () => toast.classList.add('hidden');
+    if(window.lucide) lucide.createIcons();
+}
+
+
+/**
+ * LANGUAGE (interface strings and numerals, see lib/i18n.js)
+ * Static markup is tagged with data-i18n (text), data-i18n-placeholder,
+ * data-i18n-title and data-i18n-aria-label; everything rendered from here
+ * goes through t().
+ */
+let translator = I18n.createTranslator(I18n.DEFAULT_LANGUAGE);
+
+function t(key, params) {
+    return translator.t(key, params);
+}
+
+// Digits in the reader's numerals; ids in hashes and data attributes stay Latin
+function formatNumber(n) {
+    return translator.formatNumber(n);
+}
+
+// The saved language, or the browser's on first run
+function applyLanguage() {
+    const language = state.settings.language || I18n.detectLanguage(navigator.languages || [navigator.language]);
+    translator = I18n.createTranslator(language, { numerals: state.settings.numerals });
+    document.documentElement.lang = language;
+
+    document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    ['placeholder', 'title', 'aria-label'].forEach(attr => {
+        document.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+            el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+        });
+    });
+
+    const select = document.getElementById('language-select');
+    select.innerHTML = I18n.LANGUAGES.map(l => `<option value="${l.id}">${l.label}</option>`).join('');
+    select.value = language;
+    document.getElementById('numerals-toggle').checked = state.settings.numerals === 'kannada';
+}
+
+function setLanguage(language) {
+    state.settings.language = language;
+    saveUserData();
+    refreshLanguage();
 }
 
+function setNumerals(isKannada) {
+    state.settings.numerals = isKannada ? 'kannada' : 'latin';
+    saveUserData();
+    refreshLanguage();
+}
+
+// Re-apply the language to the static markup and re-render whatever is on screen
+function refreshLanguage() {
+    applyLanguage();
+    setTheme(state.isDarkMode);
+    setPhoneticInput(state.phoneticInput);
+    document.querySelector('#translit-scheme-select option[value="editor"]').textContent = t('section.editorsCurated');
+    renderLoadErrorBanner();
+    // A practice session keeps its place; every other page renders again from its route
+    if (state.currentRoute === 'practice' && state.practiceSession) {
+        document.getElementById('page-title').textContent = t('title.practice');
+        renderPracticeSession();
+    } else {
+        saveListAnchor();
+        handleRouting();
+    }
+}
 
 /**
  * THEME HANDLING
  */
 function initTheme() {
-    const savedTheme = localStorage.getItem('mudduRamanaManasu_theme');
+    const savedTheme = state.settings.theme;
     const systemDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
     
     if (savedTheme === 'dark' || (!savedTheme && systemDark)) {
@@ -113,52 +521,268 @@ function initTheme() {
 
 function setTheme(isDark) {
     state.isDarkMode = isDark;
+    state.settings.theme = isDark ? 'dark' : 'light';
+    saveUserData();
     const html = document.documentElement;
     const icon = document.getElementById('theme-icon');
     const text = document.getElementById('theme-text');
     
     if (isDark) {
         html.classList.add('dark');
-        localStorage.setItem('mudduRamanaManasu_theme', 'dark');
         if(icon) icon.setAttribute('data-lucide', 'sun');
-        if(text) text.textContent = 'Light Mode';
+        if(text) text.textContent = t('settings.lightMode');
     } else {
         html.classList.remove('dark');
-        localStorage.setItem('mudduRamanaManasu_theme', 'light');
         if(icon) icon.setAttribute('data-lucide', 'moon');
-        if(text) text.textContent = 'Dark Mode';
+        if(text) text.textContent = t('settings.darkMode');
     }
     // Re-render icons dynamically after theme change
     if(window.lucide) lucide.createIcons(); 
 }
 
+/**
+ * PHONETIC KANNADA INPUT (Baraha/ITRANS style, see lib/transliterate.js)
+ */
+function initPhoneticInput() {
+    setPhoneticInput(state.settings.phonetic);
+}
+
+function setPhoneticInput(isOn) {
+    state.phoneticInput = isOn;
+    state.settings.phonetic = isOn;
+    saveUserData();
+
+    document.querySelectorAll('.phonetic-toggle').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(isOn));
+        btn.classList.toggle('bg-mudduRamanaManasu-orange', isOn);
+        btn.classList.toggle('text-white', isOn);
+        btn.classList.toggle('text-gray-500', !isOn);
+    });
+
+    const desktopInput = document.getElementById('search-input');
+    const mobileInput = document.getElementById('mobile-search-input');
+    desktopInput.placeholder = t(isOn ? 'search.placeholderPhonetic' : 'search.placeholder');
+    mobileInput.placeholder = t(isOn ? 'search.placeholderPhoneticMobile' : 'search.placeholderMobile');
+
+    // Re-interpret whatever is already typed
+    const value = desktopInput.value;
+    updatePhoneticPreview(value);
+    if (value && searchQueryFromInput(value, true) !== state.searchQuery) {
+        state.searchQuery = searchQueryFromInput(value, true);
+        runSearch();
+    }
+}
+
+// What to search for, given what's in the box: converted to Kannada when phonetic mode is on.
+// 'composing': the last word is still being typed, so drop the virama that closes it
+// ("nag" -> ನಗ್), which would otherwise stop it from matching ನಗು, ನಗೆ...
+function searchQueryFromInput(value, composing = false) {
+    if (!state.phoneticInput) return value;
+    // Leave field filters (chapter:..., verse:...) as typed
+    const query = value.split(/(\s+)/)
+        .map(part => /^\w+:/.test(part) ? part : Transliterate.fromLatin(part))
+        .join('');
+    return composing && query.endsWith(Transliterate.VIRAMA) ? query.slice(0, -1) : query;
+}
+
+// Candidate preview under both search boxes while Latin text is being composed
+function updatePhoneticPreview(value) {
+    const candidate = state.phoneticInput && /[A-Za-z~]/.test(value) ? searchQueryFromInput(value, true) : '';
+    document.querySelectorAll('.phonetic-preview').forEach(preview => {
+        preview.classList.toggle('hidden', !candidate);
+        preview.innerHTML = candidate
+            ? `<span class="font-kannada text-base text-gray-800 dark:text-gray-100">${SearchCore.escapeHTML(candidate)}</span>
+               <span class="text-[10px] text-gray-400 ml-2 whitespace-nowrap">${t('search.commitKeys')}</span>`
+            : '';
+    });
+}
+
+// Space or Enter commits the composed Latin text into the box as Kannada
+function handlePhoneticKeydown(e) {
+    if (!state.phoneticInput || (e.key !== ' ' && e.key !== 'Enter')) return;
+    const input = e.target;
+    const committed = searchQueryFromInput(input.value);
+    if (committed === input.value) return;
+
+    input.value = committed;
+    input.setSelectionRange(committed.length, committed.length);
+    input.dispatchEvent(new Event('input'));
+    if (e.key === 'Enter') e.preventDefault();
+}
+
+
+/**
+ * TRANSLITERATION SETTING (see lib/transliterate.js)
+ */
+function initTranslitScheme() {
+    const select = document.getElementById('translit-scheme-select');
+    select.innerHTML = [
+        ...Transliterate.SCHEMES,
+        { id: 'editor', label: t('section.editorsCurated') }
+    ].map(scheme => `<option value="${scheme.id}">${scheme.label}</option>`).join('');
+    select.onchange = () => setTranslitScheme(select.value);
+
+    setTranslitScheme(state.settings.translit || state.translitScheme);
+}
+
+function setTranslitScheme(schemeId) {
+    const known = schemeId === 'editor' || Transliterate.SCHEMES.some(s => s.id === schemeId);
+    state.translitScheme = known ? schemeId : 'iast';
+    state.settings.translit = state.translitScheme;
+    saveUserData();
+    document.getElementById('translit-scheme-select').value = state.translitScheme;
+
+    // Re-render an open verse in the new scheme
+    if (state.currentRoute === 'detail') {
+        renderDetail(state.currentVerseId);
+    }
+}
+
+/**
+ * READING PREFERENCES (text size, line spacing, sections, layout)
+ * Sizes are CSS variables used by the .reading-* classes in styles.css, so
+ * changing them needs no re-render; sections and layout do.
+ */
+const READING_LEADINGS = [
+    { value: 1.5, label: 'reading.compact' },
+    { value: 1.75, label: 'reading.normal' },
+    { value: 2.1, label: 'reading.spacious' }
+];
+const READING_LAYOUTS = [
+    { id: 'blocks', label: 'reading.sections' },
+    { id: 'interleaved', label: 'common.lineByLine' }
+];
+
+function applyReadingPrefs() {
+    const { scale, leading } = state.settings.reading;
+    document.documentElement.style.setProperty('--reading-scale', scale);
+    document.documentElement.style.setProperty('--reading-leading', leading);
+}
+
+function setReadingPrefs(changes) {
+    state.settings.reading = { ...state.settings.reading, ...changes };
+    saveUserData();
+    applyReadingPrefs();
+    renderReadingControls();
+
+    // Sections/layout change the markup; sizes only change card heights, which the virtual list re-measures
+    const changesMarkup = 'sections' in changes || 'layout' in changes;
+    if (state.currentRoute === 'detail') {
+        if (changesMarkup) renderDetail(state.currentVerseId);
+    } else if (changesMarkup) {
+        renderCurrentList();
+    } else {
+        clearCardHeights();
+        updateVirtualList(true);
+    }
+}
+
+// While the size slider moves: only the CSS variables (saved, and the list re-measured, on release)
+function previewReadingScale(scale) {
+    state.settings.reading = { ...state.settings.reading, scale };
+    applyReadingPrefs();
+    document.getElementById('reading-scale-value').textContent = `${formatNumber(Math.round(scale * 100))}%`;
+}
+
+function openReadingModal() {
+    renderReadingControls();
+    getDialog('reading-modal').open();
+    document.getElementById('reading-close-btn').onclick = closeReadingModal;
+
+    document.getElementById('reading-scale').oninput = e => previewReadingScale(Number(e.target.value));
+    document.getElementById('reading-scale').onchange = e => setReadingPrefs({ scale: Number(e.target.value) });
+    document.getElementById('reading-leading-options').onclick = e => {
+        const btn = e.target.closest('[data-leading]');
+        if (btn) setReadingPrefs({ leading: Number(btn.dataset.leading) });
+    };
+    document.getElementById('reading-layout-options').onclick = e => {
+        const btn = e.target.closest('[data-layout]');
+        if (btn) setReadingPrefs({ layout: btn.dataset.layout });
+    };
+    document.querySelectorAll('[data-reading-section]').forEach(box => {
+        box.onchange = () => {
+            const sections = { ...state.settings.reading.sections, [box.dataset.readingSection]: box.checked };
+            // Keep at least one section visible
+            if (!Object.values(sections).some(Boolean)) {
+                box.checked = true;
+                return;
+            }
+            setReadingPrefs({ sections });
+        };
+    });
+    if(window.lucide) lucide.createIcons();
+}
+
+function closeReadingModal() {
+    getDialog('reading-modal').close();
+}
+
+function renderReadingControls() {
+    const { scale, leading, layout, sections } = state.settings.reading;
+    const choice = (selected, attr, value, label) => `
+        <button data-${attr}="${value}" aria-pressed="${selected}"
+            class="flex-1 px-3 py-1.5 rounded-full border ${selected
+                ? 'bg-mudduRamanaManasu-orange border-mudduRamanaManasu-orange text-white'
+                : 'border-gray-300 dark:border-gray-600'}">${t(label)}</button>`;
+
+    document.getElementById('reading-scale').value = scale;
+    document.getElementById('reading-scale-value').textContent = `${formatNumber(Math.round(scale * 100))}%`;
+    document.getElementById('reading-leading-options').innerHTML = READING_LEADINGS
+        .map(o => choice(o.value === leading, 'leading', o.value, o.label)).join('');
+    document.getElementById('reading-layout-options').innerHTML = READING_LAYOUTS
+        .map(o => choice(o.id === layout, 'layout', o.id, o.label)).join('');
+    document.querySelectorAll('[data-reading-section]').forEach(box => {
+        box.checked = sections[box.dataset.readingSection];
+    });
+}
+
+
 /**
  * ROUTING (Hash Based)
  */
 window.addEventListener('hashchange', handleRouting);
 
 function handleRouting() {
-    const hash = window.location.hash;
+    let { path: hash, params } = parseHash(window.location.hash);
     const title = document.getElementById('page-title');
     const menuBtn = document.getElementById('menu-btn');
     const backBtn = document.getElementById('back-btn');
     const searchContainer = document.getElementById('search-container');
     const mobileSearchBtn = document.getElementById('mobile-search-toggle');
 
+    // Shared filter links (#?q=...&chapter=... or &tag=...) open the chapter or tag route
+    if (hash === '' && (params.get('chapter') || params.get('tag'))) {
+        hash = params.get('chapter') ? chapterHash(VerseData.normalizeChapter(params.get('chapter'))) : tagHash(Tags.normalize(params.get('tag')));
+        params.delete('chapter');
+        params.delete('tag');
+        history.replaceState(history.state, '', hash + (params.toString() ? `?${params}` : ''));
+    }
+
+    // List pages carry their search in the hash and reopen at the verse that was on screen
+    const isList = hash === '' || hash === '#favorites' || hash === '#recent' || hash.startsWith('#chapter/') || hash.startsWith('#tag/');
+    const queryChanged = isList && applyHashQuery(params.get('q') || '');
+    state.pendingAnchor = isList && history.state && history.state.listAnchor ? history.state.listAnchor : null;
+
     // Reset Scroll and UI elements
-    window.scrollTo(0, 0);
+    if (!state.pendingAnchor) window.scrollTo(0, 0);
+    closeWordPopover();
+    while (openDialogs.length) openDialogs[openDialogs.length - 1].close(true);
+    // Reading aloud only goes on from verse to verse (see syncReadAloud)
+    if (readAloud.active && !hash.startsWith('#verse/') && hash !== '#today') stopReadAloud();
     menuBtn.classList.remove('hidden');
     backBtn.classList.add('hidden');
     // Keep search visible by default, hiding only in detail
     searchContainer.style.display = 'block'; 
     mobileSearchBtn.style.display = 'block';
 
-    if (hash.startsWith('#verse/')) {
-        // Detail Page
-        const id = parseInt(hash.split('/')[1]);
+    if (hash.startsWith('#verse/') || hash === '#today') {
+        // Detail Page (#today: the Verse of the Day, see VerseData.dailyVerseId)
+        const isToday = hash === '#today';
+        const id = isToday ? VerseData.dailyVerseId(state.manifest, new Date()) : parseInt(hash.split('/')[1]);
         state.currentRoute = 'detail';
+        state.currentVerseId = id;
         renderDetail(id);
-        title.textContent = `Verse ${id}`;
+        title.textContent = isToday ? t('title.today') : t('common.verse', { id });
         menuBtn.classList.add('hidden');
         backBtn.classList.remove('hidden');
         searchContainer.style.display = 'none';
@@ -166,140 +790,1000 @@ function handleRouting() {
     } else if (hash === '#favorites') {
         // Favorites Page
         state.currentRoute = 'favorites';
-        title.textContent = 'ಮೆಚ್ಚಿನವುಗಳು'; // Favorites
+        title.textContent = t('title.favorites');
         renderList(true);
-        // Custom back button to go to home from favorites
+        // Back button goes to home from favorites (see setupEventListeners)
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+    } else if (hash === '#recent') {
+        // Recently Viewed Page
+        state.currentRoute = 'recent';
+        title.textContent = t('title.recent');
+        renderList(false);
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+    } else if (hash === '#practice' || hash.startsWith('#practice/')) {
+        // Memorization Practice: deck overview, or a session for one deck
+        state.currentRoute = 'practice';
+        title.textContent = t('title.practice');
+        if (hash === '#practice') {
+            state.practiceSession = null;
+            renderPracticeOverview();
+        } else {
+            startPracticeSession(hash.slice('#practice/'.length));
+        }
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+        searchContainer.style.display = 'none';
+        mobileSearchBtn.style.display = 'none';
+    } else if (hash === '#words' || hash.startsWith('#words/')) {
+        // Word Index: all words, or every line one word occurs in
+        state.currentRoute = 'words';
+        state.currentWord = hash === '#words' ? null : decodeHashSegment(hash.slice('#words/'.length));
+        title.textContent = t('title.words');
+        if (state.currentWord) renderWordOccurrences(state.currentWord);
+        else renderWordsIndex();
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+        searchContainer.style.display = 'none';
+        mobileSearchBtn.style.display = 'none';
+    } else if (hash === '#chapters') {
+        // Chapter Index Page
+        state.currentRoute = 'chapters';
+        title.textContent = t('title.chapters');
+        renderChapterIndex();
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+        searchContainer.style.display = 'none';
+        mobileSearchBtn.style.display = 'none';
+    } else if (hash.startsWith('#chapter/')) {
+        // Single Chapter Page (verse list filtered to the chapter)
+        state.currentRoute = 'chapter';
+        state.currentChapter = VerseData.normalizeChapter(decodeHashSegment(hash.slice('#chapter/'.length)));
+        title.textContent = VerseData.formatChapterName(state.currentChapter);
+        renderList(false);
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+    } else if (hash === '#tags') {
+        // Tag Cloud Page
+        state.currentRoute = 'tags';
+        title.textContent = t('title.tags');
+        renderTagIndex();
+        backBtn.classList.remove('hidden');
+        menuBtn.classList.add('hidden');
+        searchContainer.style.display = 'none';
+        mobileSearchBtn.style.display = 'none';
+    } else if (hash.startsWith('#tag/')) {
+        // Single Tag Page (verse list filtered to the tag; search narrows it further)
+        state.currentRoute = 'tag';
+        state.currentTag = Tags.normalize(decodeHashSegment(hash.slice('#tag/'.length)));
+        title.textContent = `#${state.currentTag}`;
+        renderList(false);
         backBtn.classList.remove('hidden');
-        backBtn.onclick = () => window.location.hash = ''; 
         menuBtn.classList.add('hidden');
     } else {
-        // Home Page
+        // Home Page. An unknown route (#history) becomes the plain home address, without the last search
+        if (hash !== '') {
+            history.replaceState(history.state, '', '#');
+            applyHashQuery('');
+        }
         state.currentRoute = 'home';
         title.textContent = 'ಮುದ್ದುರಾಮನ ಮನಸು';
-        state.currentPage = 1; // Reset pagination
         renderList(false);
         backBtn.classList.add('hidden');
         menuBtn.classList.remove('hidden');
     }
+
+    // A query that came in with the hash still needs its results; runSearch() re-renders
+    if (queryChanged && state.searchQuery) runSearch();
     
     // Refresh icons on the page
     if(window.lucide) lucide.createIcons();
 }
 
+// Split '#chapter/x?q=y' into { path: '#chapter/x', params: URLSearchParams('q=y') }
+function parseHash(hash) {
+    const [path, query] = hash.split('?');
+    return { path: path === '#' ? '' : path, params: new URLSearchParams(query || '') };
+}
+
+// Text of an escaped hash segment; a malformed escape (#chapter/%E0) is kept as typed instead of throwing
+function decodeHashSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return segment;
+    }
+}
+
+// Hash for the current list route with the given search query
+function listHash(query) {
+    const path = state.currentRoute === 'favorites' ? '#favorites'
+        : state.currentRoute === 'recent' ? '#recent'
+        : state.currentRoute === 'chapter' ? chapterHash(state.currentChapter)
+        : state.currentRoute === 'tag' ? tagHash(state.currentTag)
+        : '#';
+    return query ? `${path}?q=${encodeURIComponent(query)}` : path;
+}
+
+// Take the search query from the hash into state and both inputs. Returns true if it changed.
+function applyHashQuery(query) {
+    if (query === state.searchQuery) return false;
+    state.searchQuery = query;
+    state.searchResults = null;
+    document.getElementById('search-input').value = query;
+    document.getElementById('mobile-search-input').value = query;
+    if (query) document.getElementById('mobile-search-bar').classList.remove('hidden');
+    updatePhoneticPreview('');
+    return true;
+}
+
+/**
+ * LIST POSITION (scroll anchor kept in history state, so Back reopens the list at the same verse)
+ */
+function setupListAnchorTracking() {
+    let scheduled = false;
+    window.addEventListener('scroll', () => {
+        if (scheduled) return;
+        scheduled = true;
+        setTimeout(() => {
+            scheduled = false;
+            saveListAnchor();
+        }, 200);
+    }, { passive: true });
+}
+
+// Remember the first verse card below the header and how far down the screen it sits
+function saveListAnchor() {
+    if (!LIST_ROUTES.includes(state.currentRoute) || state.pendingAnchor) return;
+
+    const headerBottom = document.getElementById('main-header').getBoundingClientRect().bottom;
+    const cards = document.querySelectorAll('#app-container [data-verse-id]');
+    const card = Array.from(cards).find(c => c.getBoundingClientRect().bottom > headerBottom);
+    const listAnchor = card
+        ? { id: Number(card.dataset.verseId), offset: card.getBoundingClientRect().top }
+        : null;
+    history.replaceState({ ...(history.state || {}), listAnchor }, '');
+}
+
+// Scroll back to state.pendingAnchor once its verse is in the list
+function restoreListAnchor() {
+    const anchor = state.pendingAnchor;
+    const index = virtualList.verses.findIndex(v => v.id === anchor.id);
+    if (index === -1) {
+        // Still streaming: try again after the next chunk. Otherwise the verse is gone from this list.
+        if (!state.isStreaming) {
+            state.pendingAnchor = null;
+            window.scrollTo(0, 0);
+        }
+        return;
+    }
+    state.pendingAnchor = null;
+    scrollVirtualListTo(index, anchor.offset);
+}
+
 /**
  * RENDERING LOGIC
  */
 function renderList(onlyFavorites) {
     const container = document.getElementById('app-container');
-    // Clear content only if not appending (i.e., not a subsequent page load)
-    if (state.currentPage === 1 || state.searchQuery) {
-        container.innerHTML = '';
-    }
 
-    // Filter
-    let displayData = state.verses;
-    if (onlyFavorites) {
-        displayData = displayData.filter(v => state.favorites.includes(v.id));
+    // Results for the current query aren't back from the search worker yet; runSearch() re-renders
+    if (state.searchQuery && (!state.searchResults || state.searchResults.query !== state.searchQuery)) {
+        return;
     }
 
-    // Search Filter
-    if (state.searchQuery) {
-        const q = state.searchQuery.toLowerCase();
-        displayData = displayData.filter(v => {
-            const rawText = v.lines.map(l => 
-                (l.kannada_original || '') + 
-                (l.english_transliteration || '') + 
-                (l.english_translation || '')
-            ).join(' ').toLowerCase();
-            return rawText.includes(q) || (v.chapter || '').toLowerCase().includes(q) || v.id.toString().includes(q);
-        });
-    }
+    container.innerHTML = '';
+
+    // Filter (favorites / chapter / tag / search); remembered so the detail view can step through it
+    const context = {
+        type: onlyFavorites ? 'favorites' : state.currentRoute,
+        chapter: state.currentChapter,
+        tag: state.currentTag,
+        query: state.searchQuery,
+        collection: onlyFavorites ? state.favoritesView.collection : null,
+        sort: onlyFavorites ? state.favoritesView.sort : null,
+        // Recently viewed: fixed when the list is shown, so opening a verse doesn't reorder prev/next
+        ids: state.currentRoute === 'recent' ? state.history.visits.map(v => v.id) : null
+    };
+    state.navContext = context;
+    const displayData = getListVerses(context);
 
-    // Pagination Slice
-    const start = (state.currentPage - 1) * state.itemsPerPage;
-    const limit = start + state.itemsPerPage;
-    const slicedData = state.searchQuery ? displayData : displayData.slice(0, limit);
+    createListHeader(context).forEach(part => container.appendChild(part));
 
-    if (slicedData.length === 0) {
-        container.innerHTML = `<div class="text-center mt-20 text-gray-500">No verses found.</div>`;
+    if (displayData.length === 0) {
+        container.insertAdjacentHTML('beforeend', `<div class="text-center mt-20 text-gray-500">${t('list.empty')}</div>`);
+        mountVirtualList(null, []);
         return;
     }
 
-    // If searching, display all results. If paginating, only show the new items.
-    const renderData = state.searchQuery ? slicedData : slicedData.slice(start);
-
-    if (state.searchQuery && state.currentPage === 1) {
-        // If searching, re-render everything
-        container.innerHTML = '';
-        slicedData.forEach(verse => {
-            container.appendChild(createVerseCard(verse));
-        });
-    } else {
-         // Standard pagination: append new items
-        renderData.forEach(verse => {
-            container.appendChild(createVerseCard(verse));
-        });
+    if (state.searchQuery) {
+        const count = document.createElement('p');
+        count.className = 'text-xs text-gray-500 dark:text-gray-400 mb-3 ml-1';
+        count.textContent = t('list.results', { count: displayData.length });
+        container.appendChild(count);
     }
 
+    // Only the cards near the viewport are mounted (see VIRTUAL LIST)
+    const list = document.createElement('div');
+    container.appendChild(list);
+    mountVirtualList(list, displayData);
 
-    // Handle Load More trigger
-    // Only show "Load More" if not searching and we haven't loaded everything
-    if (!state.searchQuery && slicedData.length < displayData.length) {
-        
-        // Remove existing load more placeholder if it exists
-        const oldLoadMore = document.getElementById('load-more-placeholder');
-        if (oldLoadMore) oldLoadMore.remove();
-
-        const loadMore = document.createElement('div');
-        loadMore.id = 'load-more-placeholder';
-        loadMore.className = 'py-8 text-center text-gray-400 text-sm';
-        loadMore.innerText = 'Loading more...';
-        container.appendChild(loadMore);
-        
-        // Intersection Observer for Infinite Scroll
-        const observer = new IntersectionObserver((entries) => {
-            if(entries[0].isIntersecting) {
-                observer.unobserve(loadMore); // Stop observing before updating
-                state.currentPage++;
-                renderList(onlyFavorites); // Re-render with more items (appends)
-            }
-        }, {
-            rootMargin: '0px 0px 100px 0px'
-        });
-        observer.observe(loadMore);
-    } else if (!state.searchQuery && slicedData.length === displayData.length && displayData.length > state.itemsPerPage) {
-        // All data loaded message
-        const oldLoadMore = document.getElementById('load-more-placeholder');
-        if (oldLoadMore) oldLoadMore.remove();
-        
+    if (!state.searchQuery) {
         const endMessage = document.createElement('div');
         endMessage.className = 'py-8 text-center text-gray-500 text-xs';
-        endMessage.innerText = '— End of Verses —';
+        endMessage.innerText = t('list.end');
         container.appendChild(endMessage);
     }
+
+    if (state.pendingAnchor) restoreListAnchor();
 }
 
-function createVerseCard(verse) {
-    const isFav = state.favorites.includes(verse.id);
-    const card = document.createElement('div');
-    card.className = 'bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm rounded-xl p-4 mb-3 flex items-start gap-4 cursor-pointer hover:shadow-md transition-all border border-gray-100 dark:border-gray-800 animate-fade-in';
-    
-    // Preview Text (4 lines)
-    const textPreview = verse.lines.slice(0, 4).map(l => l.kannada_original).join('<br>');
+// What a list shows above its cards, each part marked data-list-header (see extendList)
+function createListHeader(context) {
+    const parts = [];
+    // The home page opens with "Continue reading" and the Verse of the Day
+    if (context.type === 'home' && !context.query) {
+        parts.push(createContinueCard(), createDailyVerseCard());
+    }
+    // Chapter pages open with a header card (range + previous/next chapter)
+    if (context.type === 'chapter') {
+        parts.push(createChapterHeader(context.chapter));
+    }
+    // Tag pages: the tag, its verse count and (for the reader's own tags) a remove button
+    if (context.type === 'tag') {
+        parts.push(createTagHeader(context.tag));
+    }
+    // Favorites open with sort and collection controls
+    if (context.type === 'favorites') {
+        parts.push(createFavoritesToolbar());
+    }
+    return parts.filter(Boolean).map(part => {
+        part.dataset.listHeader = '';
+        return part;
+    });
+}
 
-    card.innerHTML = `
-        <div class="text-2xl font-bold text-gray-300 dark:text-gray-600 font-sans min-w-[2rem] text-center mt-1">${verse.id}</div>
-        <div class="flex-1">
-            <p class="text-gray-800 dark:text-gray-200 font-kannada text-lg leading-relaxed">${textPreview}</p>
-        </div>
-        <button class="fav-btn p-2 -mr-2 -mt-2 z-10 transition-transform active:scale-95" data-id="${verse.id}">
-            <i data-lucide="heart" class="w-5 h-5 transition-colors duration-300 ${isFav ? 'fill-mudduRamanaManasu-orange text-mudduRamanaManasu-orange' : 'text-gray-400'}"></i>
+// Streamed verses that only add to the end of the list on screen are appended to it,
+// keeping the measured card heights; anything else (first verses, a reordered or changed list) re-renders
+function extendList(onlyFavorites) {
+    const { element, verses } = virtualList;
+    const displayData = element && element.isConnected ? getListVerses(state.navContext) : null;
+    if (!displayData || displayData.length < verses.length || verses.some((verse, i) => displayData[i] !== verse)) {
+        renderList(onlyFavorites);
+        return;
+    }
+
+    // Headers count and pick from the loaded verses: rebuild them in place
+    const container = element.parentElement;
+    container.querySelectorAll(':scope > [data-list-header]').forEach(part => part.remove());
+    container.prepend(...createListHeader(state.navContext));
+
+    if (displayData.length > verses.length) {
+        const { offsets } = virtualList;
+        if (offsets) {
+            for (let i = verses.length; i < displayData.length; i++) offsets.push(offsets[i] + cardHeight(displayData[i].id));
+        }
+        virtualList.verses = displayData;
+        virtualList.last = -1; // Size the spacers again even if the same cards stay mounted
+        updateVirtualList(false);
+    }
+    if(window.lucide) lucide.createIcons();
+
+    if (state.pendingAnchor) restoreListAnchor();
+}
+
+/**
+ * VIRTUAL LIST
+ * A long list keeps only the cards in (and near) the viewport in the DOM.
+ * Spacers above and below stand in for the rest, sized from measured card
+ * heights (or the average so far, for cards not yet seen).
+ */
+const VIRTUAL_BUFFER_PX = 800;      // Card height kept mounted above and below the viewport
+const ESTIMATED_CARD_HEIGHT = 150;  // Until a card has been measured
+const CARD_GAP = 12;                // The cards' mb-3
+
+const virtualList = {
+    element: null,      // Wrapper in #app-container (null when no list is shown)
+    verses: [],
+    heights: new Map(), // verseId -> measured height including the gap
+    measuredTotal: 0,   // Sum of 'heights', for the average used by unmeasured cards
+    offsets: null,      // Cached virtualOffsets(), dropped whenever a height changes
+    cards: new Map(),   // verseId -> mounted card element
+    first: 0,
+    last: -1
+};
+
+function setupVirtualList() {
+    let frame = null;
+    const schedule = () => {
+        if (frame !== null) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            updateVirtualList(false);
+        });
+    };
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', () => {
+        // Card heights depend on the width
+        clearCardHeights();
+        schedule();
+    });
+}
+
+function mountVirtualList(element, verses) {
+    virtualList.element = element;
+    virtualList.verses = verses;
+    clearCardHeights();
+    virtualList.cards.clear();
+    virtualList.first = 0;
+    virtualList.last = -1;
+    if (!element) return;
+
+    element.innerHTML = `<div data-spacer="top"></div><div data-items></div><div data-spacer="bottom"></div>`;
+    updateVirtualList(true);
+}
+
+function clearCardHeights() {
+    virtualList.heights.clear();
+    virtualList.measuredTotal = 0;
+    virtualList.offsets = null;
+}
+
+function setCardHeight(id, height) {
+    const previous = virtualList.heights.get(id) || 0;
+    if (height === previous) return;
+    virtualList.heights.set(id, height);
+    virtualList.measuredTotal += height - previous;
+    virtualList.offsets = null;
+}
+
+function cardHeight(id) {
+    const measured = virtualList.heights.get(id);
+    if (measured) return measured;
+    const known = virtualList.heights.size;
+    return known ? virtualList.measuredTotal / known : ESTIMATED_CARD_HEIGHT;
+}
+
+// Offset of each card from the top of the list (plus the total height at the end); rebuilt only after a height changed
+function virtualOffsets() {
+    if (!virtualList.offsets) {
+        const offsets = [0];
+        virtualList.verses.forEach((verse, i) => offsets.push(offsets[i] + cardHeight(verse.id)));
+        virtualList.offsets = offsets;
+    }
+    return virtualList.offsets;
+}
+
+// Index of the first card whose bottom edge is at or below 'y' (binary search; the last card if none is)
+function cardIndexAt(offsets, y) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid + 1] < y) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// Mount the cards that intersect the viewport (plus buffer), reusing ones already mounted
+function updateVirtualList(force) {
+    const { element, verses } = virtualList;
+    if (!element || !element.isConnected) return;
+
+    const listTop = element.getBoundingClientRect().top + window.scrollY;
+    const viewTop = window.scrollY - listTop - VIRTUAL_BUFFER_PX;
+    const viewBottom = window.scrollY + window.innerHeight - listTop + VIRTUAL_BUFFER_PX;
+
+    let offsets = virtualOffsets();
+    const first = cardIndexAt(offsets, viewTop);
+    const last = Math.max(first, cardIndexAt(offsets, viewBottom));
+
+    if (!force && first === virtualList.first && last === virtualList.last) return;
+    virtualList.first = first;
+    virtualList.last = last;
+
+    const items = element.querySelector('[data-items]');
+    const mounted = new Map();
+    const fragment = document.createDocumentFragment();
+    for (let i = first; i <= last; i++) {
+        const id = verses[i].id;
+        const card = (!force && virtualList.cards.get(id)) || createVerseCard(verses[i]);
+        mounted.set(id, card);
+        fragment.appendChild(card);
+    }
+    items.replaceChildren(fragment);
+    virtualList.cards = mounted;
+    if(window.lucide) lucide.createIcons();
+
+    // Measure what is now on screen, then size the spacers
+    mounted.forEach((card, id) => {
+        if (card.offsetHeight) setCardHeight(id, card.offsetHeight + CARD_GAP);
+    });
+    offsets = virtualOffsets();
+    element.querySelector('[data-spacer="top"]').style.height = `${offsets[first]}px`;
+    element.querySelector('[data-spacer="bottom"]').style.height = `${offsets[verses.length] - offsets[last + 1]}px`;
+}
+
+// Scroll so the card at 'index' sits 'offset' px below the top of the viewport
+function scrollVirtualListTo(index, offset) {
+    const { element, verses } = virtualList;
+    if (!element) return;
+
+    const listTop = element.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, listTop + virtualOffsets()[index] - offset);
+    updateVirtualList(false);
+
+    // Heights above the card may have been estimates: correct against the mounted card
+    const card = virtualList.cards.get(verses[index].id);
+    if (card) window.scrollTo(0, window.scrollY + card.getBoundingClientRect().top - offset);
+}
+
+// Verses a list shows for a context { type: 'home'|'favorites'|'recent'|'chapter'|'tag', chapter, tag, query, collection, sort, ids }
+function getListVerses(context) {
+    let verses = state.verses;
+    if (context.type === 'favorites') {
+        const records = new Map(state.favorites
+            .filter(f => !context.collection || f.collections.includes(context.collection))
+            .map(f => [f.id, f]));
+        verses = sortFavorites(verses.filter(v => records.has(v.id)), records, context.sort);
+    }
+    if (context.type === 'chapter') {
+        verses = verses.filter(v => v.chapter === context.chapter);
+    }
+    if (context.type === 'tag') {
+        verses = verses.filter(v => verseTags(v).includes(context.tag));
+    }
+    if (context.type === 'recent') {
+        const byId = new Map(verses.map(v => [v.id, v]));
+        verses = (context.ids || []).map(id => byId.get(id)).filter(Boolean);
+    }
+
+    // Search Filter: ranked ids from the search index, restricted to the list
+    const results = state.searchResults;
+    if (context.query && results && results.query === context.query) {
+        const inList = new Map(verses.map(v => [v.id, v]));
+        verses = results.ids.map(id => inList.get(id)).filter(Boolean);
+    }
+    return verses;
+}
+
+// Chapter summaries, from the manifest when available so counts are right while streaming
+function getChapters() {
+    const entries = state.manifest
+        ? state.manifest.verses.map(([id, chapterIndex]) => ({ id, chapter: state.manifest.chapters[chapterIndex] }))
+        : state.verses;
+    return VerseData.summarizeChapters(entries);
+}
+
+function chapterHash(chapter) {
+    return `#chapter/${encodeURIComponent(chapter)}`;
+}
+
+function renderChapterIndex() {
+    const container = document.getElementById('app-container');
+    const chapters = getChapters();
+    const readCounts = chapterReadCounts();
+
+    if (chapters.length === 0) {
+        container.innerHTML = `<div class="text-center mt-20 text-gray-500">${t('chapters.empty')}</div>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <ol class="space-y-3 animate-fade-in">
+            ${chapters.map((chapter, index) => `
+                <li>
+                    <a href="${chapterHash(chapter.name)}" class="bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm rounded-xl p-4 flex items-center gap-4 hover:shadow-md transition-all border border-gray-100 dark:border-gray-800">
+                        <div class="text-2xl font-bold text-gray-300 dark:text-gray-600 font-sans min-w-[2rem] text-center">${formatNumber(index + 1)}</div>
+                        <div class="flex-1">
+                            <p class="text-gray-800 dark:text-gray-200 font-kannada text-lg font-bold">${VerseData.formatChapterName(chapter.name)}</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${t('common.verseCount', { count: chapter.count })} · ${formatNumber(chapter.first)}–${formatNumber(chapter.last)}</p>
+                            ${progressBar(readCounts.get(chapter.name) || 0, chapter.count)}
+                        </div>
+                        <i data-lucide="chevron-right" class="w-5 h-5 text-gray-300"></i>
+                    </a>
+                </li>
+            `).join('')}
+        </ol>
+    `;
+
+    if(window.lucide) lucide.createIcons();
+}
+
+// Header card for #chapter/<name>: verse range plus links to the neighbouring chapters
+function createChapterHeader(chapterName) {
+    const chapters = getChapters();
+    const index = chapters.findIndex(c => c.name === chapterName);
+    const chapter = chapters[index];
+    const prev = chapters[index - 1];
+    const next = chapters[index + 1];
+
+    const header = document.createElement('div');
+    header.className = 'mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700';
+
+    if (!chapter) {
+        header.innerHTML = `<p class="text-sm text-gray-500">${t('chapter.notFound')} <a href="#chapters" class="text-mudduRamanaManasu-orange font-medium">${t('chapter.seeAll')}</a></p>`;
+        return header;
+    }
+
+    const navLink = (target, icon, label) => target
+        ? `<a href="${chapterHash(target.name)}" class="flex items-center gap-1 font-kannada text-sm text-mudduRamanaManasu-orange hover:underline ${icon === 'chevron-right' ? 'flex-row-reverse text-right' : ''}">
+               <i data-lucide="${icon}" class="w-4 h-4 flex-shrink-0"></i><span>${label}: ${VerseData.formatChapterName(target.name)}</span>
+           </a>`
+        : '<span></span>';
+
+    header.innerHTML = `
+        <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">
+            <a href="#chapters" class="hover:underline">${t('title.chapters')}</a> · ${t('common.position', { index: index + 1, total: chapters.length })}
+        </p>
+        <h2 class="text-xl font-bold text-gray-800 dark:text-gray-100 font-kannada mt-1">${VerseData.formatChapterName(chapter.name)}</h2>
+        <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            ${t('common.verseCount', { count: chapter.count })} · ${formatNumber(chapter.first)}–${formatNumber(chapter.last)} ·
+            <a href="#practice/chapter/${encodeURIComponent(chapter.name)}" class="text-mudduRamanaManasu-orange hover:underline">${t('chapter.practise')}</a>
+        </p>
+        ${progressBar(chapterReadCounts().get(chapter.name) || 0, chapter.count)}
+        <div class="flex justify-between gap-4 mt-3">
+            ${navLink(prev, 'chevron-left', t('common.previous'))}
+            ${navLink(next, 'chevron-right', t('common.next'))}
+        </div>
+    `;
+    return header;
+}
+
+/**
+ * READING HISTORY (visits, progress per chapter, daily streak; kept on this device)
+ */
+function recordVisit(id) {
+    UserData.recordVisit(state.history, id, new Date());
+    saveUserData();
+}
+
+function clearReadingHistory() {
+    if (!confirm(t('history.clearConfirm'))) return;
+    state.history = UserData.emptyHistory();
+    saveUserData();
+    showToast(t('history.cleared'));
+    if (state.currentRoute === 'chapters') renderChapterIndex();
+    else renderCurrentList();
+}
+
+// Chapter name -> number of its verses the reader has opened
+function chapterReadCounts() {
+    const read = new Set(state.history.read);
+    const counts = new Map();
+    const entries = state.manifest
+        ? state.manifest.verses.map(([id, chapterIndex]) => ({ id, chapter: state.manifest.chapters[chapterIndex] }))
+        : state.verses;
+    entries.forEach(({ id, chapter }) => {
+        if (read.has(id)) counts.set(chapter, (counts.get(chapter) || 0) + 1);
+    });
+    return counts;
+}
+
+function progressBar(read, total) {
+    const percent = total ? Math.round((read / total) * 100) : 0;
+    return `
+        <div class="mt-2 flex items-center gap-2" title="${t('progress.readHint', { read, total })}">
+            <div class="flex-1 h-1.5 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden" role="progressbar" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${read}" aria-label="${t('progress.label')}">
+                <div class="h-full rounded-full bg-mudduRamanaManasu-orange" style="width: ${percent}%"></div>
+            </div>
+            <span class="text-[11px] text-gray-400 whitespace-nowrap">${t('progress.read', { read, total })}</span>
+        </div>`;
+}
+
+// Home card: the last verse opened, the streak and a link to the full history
+function createContinueCard() {
+    const last = state.history.visits[0];
+    const verse = last && state.verses.find(v => v.id === last.id);
+    if (!verse) return null;
+    const streak = UserData.readingStreak(state.history, new Date());
+
+    const card = document.createElement('div');
+    card.className = 'mb-4 p-4 rounded-xl bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm border border-gray-100 dark:border-gray-800 flex items-center gap-4 animate-fade-in';
+    card.innerHTML = `
+        <a href="#verse/${verse.id}" class="flex-1 min-w-0">
+            <p class="text-xs font-bold uppercase tracking-wider text-mudduRamanaManasu-orange">${t('continue.title', { id: verse.id })}</p>
+            <p class="mt-1 font-kannada text-gray-800 dark:text-gray-200 truncate">${SearchCore.escapeHTML(verse.lines[0].kannada_original || VerseData.formatChapterName(verse.chapter))}</p>
+        </a>
+        <div class="flex flex-col items-end gap-1 text-xs text-gray-500 dark:text-gray-400">
+            ${streak > 0 ? `<span class="flex items-center gap-1" title="${t('continue.streak')}"><i data-lucide="flame" class="w-4 h-4 text-mudduRamanaManasu-orange"></i>${t('common.dayCount', { count: streak })}</span>` : ''}
+            <a href="#recent" class="hover:underline text-mudduRamanaManasu-orange">${t('title.recent')}</a>
+        </div>
+    `;
+    return card;
+}
+
+/**
+ * MEMORIZATION PRACTICE (#practice: spaced-repetition flashcards, see lib/practice.js)
+ */
+const PRACTICE_MODES = [
+    { id: 'lines', label: 'common.lineByLine' },
+    { id: 'blanks', label: 'practice.blanks' }
+];
+
+// Decks: favorites, and each chapter. Ids come from the manifest so counts are right while verses stream in.
+function practiceDecks() {
+    const placeholders = new Set(state.manifest ? state.manifest.placeholders || [] : []);
+    const usable = id => !placeholders.has(id);
+    const decks = [{
+        id: 'favorites',
+        name: t('title.favorites'),
+        ids: state.favorites.map(f => f.id).filter(usable).sort((a, b) => a - b)
+    }];
+    const entries = state.manifest
+        ? state.manifest.verses.map(([id, chapterIndex]) => ({ id, chapter: state.manifest.chapters[chapterIndex] }))
+        : state.verses;
+    getChapters().forEach(chapter => {
+        decks.push({
+            id: `chapter/${encodeURIComponent(chapter.name)}`,
+            name: VerseData.formatChapterName(chapter.name),
+            ids: entries.filter(e => e.chapter === chapter.name).map(e => e.id).filter(usable)
+        });
+    });
+    return decks;
+}
+
+function findPracticeDeck(deckId) {
+    const deck = practiceDecks().find(d => d.id === deckId || decodeHashSegment(d.id) === decodeHashSegment(deckId));
+    return deck || null;
+}
+
+// #practice: what is due today in each deck
+function renderPracticeOverview() {
+    const container = document.getElementById('app-container');
+    const today = new Date();
+    const decks = practiceDecks().map(deck => ({ ...deck, status: Practice.deckStatus(state.practice, deck.ids, today) }));
+    const totalDue = decks.reduce((sum, deck) => sum + deck.status.due.length, 0);
+
+    const deckRow = deck => {
+        const { due, fresh, learnt } = deck.status;
+        const startable = due.length > 0 || fresh.length > 0;
+        return `
+            <li class="bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm rounded-xl p-4 flex items-center gap-4 border border-gray-100 dark:border-gray-800">
+                <div class="flex-1 min-w-0">
+                    <p class="text-gray-800 dark:text-gray-200 font-kannada text-lg font-bold">${SearchCore.escapeHTML(deck.name)}</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        <span class="${due.length ? 'text-mudduRamanaManasu-orange font-bold' : ''}">${t('practice.dueToday', { count: due.length })}</span>
+                        · ${t('practice.new', { count: fresh.length })} · ${t('practice.learning', { count: learnt })}
+                    </p>
+                </div>
+                ${startable
+                    ? `<a href="#practice/${deck.id}" class="px-4 py-2 rounded-full bg-mudduRamanaManasu-orange text-white text-sm font-medium hover:bg-orange-600">${t('practice.start')}</a>`
+                    : `<span class="text-xs text-gray-400">${t('practice.allDone')}</span>`}
+            </li>`;
+    };
+
+    const [favorites, ...chapters] = decks;
+    container.innerHTML = `
+        <div class="animate-fade-in">
+            <div class="mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700">
+                <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">${t('practice.dueHeading')}</p>
+                <p class="text-2xl font-bold text-gray-800 dark:text-gray-100 mt-1">${t('common.verseCount', { count: totalDue })}</p>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${t('practice.intro', { count: Practice.NEW_PER_SESSION })}</p>
+            </div>
+            <ul class="space-y-3">
+                ${favorites.ids.length ? deckRow(favorites) : `
+                <li class="p-4 rounded-xl border border-dashed border-gray-200 dark:border-gray-700 text-sm text-gray-500 dark:text-gray-400">
+                    ${t('practice.noFavorites')}
+                </li>`}
+            </ul>
+            <h2 class="text-xs uppercase text-gray-400 font-bold mt-6 mb-3">${t('title.chapters')}</h2>
+            <ul class="space-y-3">${chapters.map(deckRow).join('')}</ul>
+        </div>
+    `;
+    if(window.lucide) lucide.createIcons();
+}
+
+// #practice/<deck>: start (or, while verses stream in, keep) a session for the deck
+function startPracticeSession(deckId) {
+    const deck = findPracticeDeck(deckId);
+    if (!deck) {
+        state.practiceSession = null;
+        document.getElementById('app-container').innerHTML = `
+            <div class="text-center mt-20 text-gray-500">${t('practice.nothingHere')} <a href="#practice" class="text-mudduRamanaManasu-orange font-medium">${t('practice.seeDecks')}</a></div>`;
+        return;
+    }
+    state.practiceSession = {
+        deck,
+        queue: Practice.sessionQueue(state.practice, deck.ids, new Date()),
+        position: 0,
+        revealed: 1,     // 'lines' mode: how many lines are showing
+        shownWords: [],  // 'blanks' mode: 'line:word' keys the reader uncovered
+        answered: false, // Whole verse showing; waiting for a grade
+        graded: { again: 0, hard: 0, good: 0, easy: 0 },
+        retried: []      // Verses graded 'again', shown once more at the end
+    };
+    renderPracticeSession();
+}
+
+function renderPracticeSession() {
+    const container = document.getElementById('app-container');
+    const session = state.practiceSession;
+    const id = session.queue[session.position];
+
+    if (id === undefined) {
+        renderPracticeSummary();
+        return;
+    }
+    const verse = state.verses.find(v => v.id === id);
+    if (!verse) {
+        // Still streaming in: onVersesStreamed() re-renders once it arrives
+        container.innerHTML = `<div class="text-center mt-20 text-gray-500" data-verse-pending>${t('detail.loading', { id })}</div>`;
+        return;
+    }
+
+    const mode = state.settings.practiceMode;
+    const lines = verse.lines.map(l => l.kannada_original).filter(Boolean);
+    const card = state.practice[id];
+    const intervals = Practice.previewIntervals(card || Practice.newCard(), new Date());
+    const intervalLabel = days => (days === 0 ? t('practice.today') : t('common.dayCount', { count: days }));
+
+    let body;
+    if (mode === 'blanks') {
+        body = lines.map((line, lineIndex) => `
+            <p class="font-kannada reading-original text-gray-900 dark:text-gray-100">
+                ${Practice.blankWords(line, id + lineIndex).map((w, wordIndex) => {
+                    const key = `${lineIndex}:${wordIndex}`;
+                    const word = SearchCore.escapeHTML(w.word);
+                    return !w.hidden || session.answered || session.shownWords.includes(key)
+                        ? word
+                        : `<button class="practice-blank px-1 rounded border-b-2 border-mudduRamanaManasu-orange text-transparent bg-orange-50 dark:bg-gray-800 select-none" data-word="${key}" aria-label="${t('practice.showWord')}">${word}</button>`;
+                }).join(' ')}
+            </p>`).join('');
+    } else {
+        body = lines.map((line, lineIndex) => lineIndex < session.revealed || session.answered
+            ? `<p class="font-kannada reading-original text-gray-900 dark:text-gray-100">${SearchCore.escapeHTML(line)}</p>`
+            : `<p class="reading-original text-gray-300 dark:text-gray-600 select-none" aria-label="${t('practice.hiddenLine')}">• • •</p>`).join('');
+    }
+
+    const allLinesShown = mode === 'lines' && session.revealed >= lines.length;
+    const actions = session.answered || allLinesShown
+        ? `<div class="grid grid-cols-4 gap-2" role="group" aria-label="${t('practice.gradePrompt')}">
+               ${Practice.GRADES.map((grade, i) => `
+                   <button class="practice-grade flex flex-col items-center py-2 rounded-xl border border-gray-200 dark:border-gray-700 hover:border-mudduRamanaManasu-orange hover:bg-orange-50 dark:hover:bg-gray-800" data-grade="${grade.id}" title="${t('practice.key', { key: String(i + 1) })}">
+                       <span class="font-medium text-gray-800 dark:text-gray-100">${t(`practice.grade.${grade.id}`)}</span>
+                       <span class="text-[11px] text-gray-500 dark:text-gray-400">${intervalLabel(intervals[grade.id])}</span>
+                   </button>`).join('')}
+           </div>`
+        : `<button id="practice-reveal-btn" class="w-full py-3 rounded-xl bg-mudduRamanaManasu-orange text-white font-medium hover:bg-orange-600">
+               ${t(mode === 'blanks' ? 'practice.showAnswer' : 'practice.showNextLine')}
+           </button>`;
+
+    container.innerHTML = `
+        <div class="animate-fade-in space-y-4">
+            <div class="flex items-center justify-between gap-2 text-xs text-gray-500 dark:text-gray-400">
+                <span><a href="#practice" class="text-mudduRamanaManasu-orange hover:underline">${t('title.practice')}</a> · ${SearchCore.escapeHTML(session.deck.name)}</span>
+                <span>${t('common.position', { index: session.position + 1, total: session.queue.length })}</span>
+            </div>
+            <div class="flex gap-2" role="group" aria-label="${t('practice.mode')}">
+                ${PRACTICE_MODES.map(m => `
+                    <button class="practice-mode px-3 py-1.5 rounded-full text-sm border ${m.id === mode ? 'bg-mudduRamanaManasu-orange text-white border-mudduRamanaManasu-orange' : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-200'}" data-mode="${m.id}" aria-pressed="${m.id === mode}">${t(m.label)}</button>
+                `).join('')}
+            </div>
+            <div class="bg-white dark:bg-mudduRamanaManasu-darkCard rounded-2xl shadow-sm p-6 border border-gray-100 dark:border-gray-800">
+                <p class="text-xs font-bold uppercase tracking-wider text-mudduRamanaManasu-orange mb-4">
+                    ${t('common.verse', { id })}${card ? '' : ` · ${t('practice.newBadge')}`}
+                </p>
+                <div class="space-y-2">${body}</div>
+            </div>
+            ${actions}
+        </div>
+    `;
+
+    container.querySelectorAll('.practice-mode').forEach(btn => {
+        btn.onclick = () => setPracticeMode(btn.dataset.mode);
+    });
+    container.querySelectorAll('.practice-blank').forEach(btn => {
+        btn.onclick = () => {
+            session.shownWords.push(btn.dataset.word);
+            renderPracticeSession();
+        };
+    });
+    container.querySelectorAll('.practice-grade').forEach(btn => {
+        btn.onclick = () => gradePracticeVerse(btn.dataset.grade);
+    });
+    const revealBtn = document.getElementById('practice-reveal-btn');
+    if (revealBtn) revealBtn.onclick = revealPracticeStep;
+}
+
+function setPracticeMode(mode) {
+    state.settings.practiceMode = mode;
+    saveUserData();
+    renderPracticeSession();
+}
+
+// Show the next line, or the whole verse in 'blanks' mode
+function revealPracticeStep() {
+    const session = state.practiceSession;
+    if (state.settings.practiceMode === 'blanks') session.answered = true;
+    else session.revealed++;
+    renderPracticeSession();
+}
+
+function gradePracticeVerse(gradeId) {
+    const session = state.practiceSession;
+    const id = session.queue[session.position];
+    state.practice[id] = Practice.review(state.practice[id] || Practice.newCard(), gradeId, new Date());
+    saveUserData();
+
+    session.graded[gradeId]++;
+    // A forgotten verse comes back once more before the session ends
+    if (gradeId === 'again' && !session.retried.includes(id)) {
+        session.retried.push(id);
+        session.queue.push(id);
+    }
+    session.position++;
+    session.revealed = 1;
+    session.shownWords = [];
+    session.answered = false;
+    renderPracticeSession();
+    window.scrollTo(0, 0);
+}
+
+function renderPracticeSummary() {
+    const { deck, graded, queue } = state.practiceSession;
+    const stillDue = Practice.deckStatus(state.practice, deck.ids, new Date());
+    const more = stillDue.due.length + stillDue.fresh.length;
+    document.getElementById('app-container').innerHTML = `
+        <div class="text-center mt-12 animate-fade-in space-y-4">
+            <i data-lucide="party-popper" class="w-10 h-10 mx-auto text-mudduRamanaManasu-orange"></i>
+            <h2 class="text-xl font-bold text-gray-800 dark:text-gray-100">${t(queue.length ? 'practice.complete' : 'practice.nothingDue')}</h2>
+            <p class="text-sm text-gray-500 dark:text-gray-400">
+                ${queue.length
+                    ? Practice.GRADES.map(g => `${t(`practice.grade.${g.id}`)}: ${formatNumber(graded[g.id])}`).join(' · ')
+                    : t('practice.allScheduled', { deck: SearchCore.escapeHTML(deck.name) })}
+            </p>
+            <div class="flex justify-center gap-3">
+                ${more ? `<a href="#practice/${deck.id}" id="practice-again-link" class="px-4 py-2 rounded-full bg-mudduRamanaManasu-orange text-white text-sm font-medium">${t('practice.continueMore', { count: more })}</a>` : ''}
+                <a href="#practice" class="px-4 py-2 rounded-full border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200">${t('practice.allDecks')}</a>
+            </div>
+        </div>
+    `;
+    // Same hash as the current page, so no hashchange: start the next round directly
+    const again = document.getElementById('practice-again-link');
+    if (again) {
+        again.onclick = e => {
+            e.preventDefault();
+            startPracticeSession(deck.id);
+            if(window.lucide) lucide.createIcons();
+        };
+    }
+    if(window.lucide) lucide.createIcons();
+}
+
+// Space reveals, 1-4 grade (see the keydown handler in setupEventListeners)
+function handlePracticeKey(key) {
+    const session = state.practiceSession;
+    if (!session || session.queue[session.position] === undefined) return false;
+    if (key === ' ' || key === 'Enter') {
+        const revealBtn = document.getElementById('practice-reveal-btn');
+        if (!revealBtn) return false;
+        revealBtn.click();
+        return true;
+    }
+    const grade = Practice.GRADES[Number(key) - 1];
+    if (grade && document.querySelector('.practice-grade')) {
+        gradePracticeVerse(grade.id);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * VERSE OF THE DAY, SURPRISE ME & DAILY REMINDER
+ */
+
+// Hero card for the home page; null until the day's verse has loaded
+function createDailyVerseCard() {
+    const id = state.manifest && VerseData.dailyVerseId(state.manifest, new Date());
+    const verse = state.verses.find(v => v.id === id);
+    if (!verse) return null;
+
+    const card = document.createElement('a');
+    card.href = '#today';
+    card.className = 'block mb-5 p-5 rounded-2xl bg-gradient-to-r from-mudduRamanaManasu-orange to-red-500 text-white shadow-md hover:shadow-lg transition-all animate-fade-in';
+    card.innerHTML = `
+        <p class="text-xs font-bold uppercase tracking-wider text-white/80 flex items-center gap-2">
+            <i data-lucide="sun" class="w-4 h-4"></i>
+            <span class="font-kannada">${t('title.today')} · ${formatNumber(verse.id)}</span>
+        </p>
+        <p class="mt-3 font-kannada text-lg leading-relaxed">
+            ${verse.lines.map(l => SearchCore.escapeHTML(l.kannada_original)).join('<br>')}
+        </p>
+        <p class="mt-3 text-xs text-white/80 font-kannada">${VerseData.formatChapterName(verse.chapter)}</p>
+    `;
+    return card;
+}
+
+// Jump to a random verse from the list being read: a chapter, favorites, search results or everything
+function surpriseMe() {
+    const context = LIST_ROUTES.includes(state.currentRoute) || state.currentRoute === 'detail'
+        ? state.navContext || { type: 'home' }
+        : { type: 'home' };
+    const placeholders = new Set(state.manifest ? state.manifest.placeholders || [] : []);
+    const candidates = getListVerses(context)
+        .filter(v => !placeholders.has(v.id) && v.id !== state.currentVerseId);
+    if (candidates.length === 0) {
+        showToast(t('search.surpriseEmpty'));
+        return;
+    }
+
+    state.navContext = context; // Prev/next keep walking the same list
+    const verse = candidates[Math.floor(Math.random() * candidates.length)];
+    window.location.hash = `#verse/${verse.id}`;
+}
+
+// Reminders come from sw.js on a periodic background sync, which only installed apps get
+function dailyReminderSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator &&
+        'periodicSync' in ServiceWorkerRegistration.prototype &&
+        window.matchMedia('(display-mode: standalone)').matches;
+}
+
+async function setDailyReminder(isOn) {
+    let enabled = false;
+    try {
+        if (isOn) {
+            enabled = await enableDailyReminder();
+        } else if ('serviceWorker' in navigator && 'periodicSync' in ServiceWorkerRegistration.prototype) {
+            const registration = await navigator.serviceWorker.ready;
+            await registration.periodicSync.unregister(DAILY_REMINDER_TAG);
+        }
+    } catch (error) {
+        console.warn('Daily reminder could not be changed:', error);
+        showToast(t('reminder.failed'));
+    }
+    state.settings.reminder = enabled;
+    saveUserData();
+    document.getElementById('reminder-toggle').checked = enabled;
+}
+
+// Returns true once the reminder is registered, or explains (toast) why it can't be
+async function enableDailyReminder() {
+    if (!dailyReminderSupported()) {
+        showToast(t('reminder.needsApp'));
+        return false;
+    }
+    if (await Notification.requestPermission() !== 'granted') {
+        showToast(t('reminder.blocked'));
+        return false;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    await registration.periodicSync.register(DAILY_REMINDER_TAG, { minInterval: 24 * 60 * 60 * 1000 });
+    showToast(t('reminder.enabled'));
+    return true;
+}
+
+function createVerseCard(verse) {
+    const isFav = isFavorite(verse.id);
+    const card = document.createElement('div');
+    card.className = 'bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm rounded-xl p-4 mb-3 flex items-start gap-4 cursor-pointer hover:shadow-md transition-all border border-gray-100 dark:border-gray-800 animate-fade-in';
+    card.dataset.verseId = verse.id;
+    
+    // Preview Text (4 lines, in the reader's layout), with search hits highlighted
+    const terms = activeSearchTerms();
+    const textPreview = cardPreview(verse, terms);
+    // When the hit is only in the transliteration/translation, show that line too
+    const snippet = terms.length && !textPreview.includes('<mark') ? searchSnippet(verse, terms) : '';
+
+    card.innerHTML = `
+        <div class="text-2xl font-bold text-gray-300 dark:text-gray-600 font-sans min-w-[2rem] text-center mt-1">${formatNumber(verse.id)}</div>
+        <div class="flex-1">
+            <div class="text-gray-800 dark:text-gray-200 reading-preview">${textPreview}</div>
+            ${snippet ? `<p class="mt-2 text-sm text-gray-500 dark:text-gray-400 italic">${snippet}</p>` : ''}
+            ${state.currentRoute === 'favorites' ? favoriteCardMeta(verse.id) : ''}
+        </div>
+        <button class="fav-btn p-2 -mr-2 -mt-2 z-10 transition-transform active:scale-95" data-id="${verse.id}">
+            <i data-lucide="heart" class="w-5 h-5 transition-colors duration-300 ${isFav ? 'fill-mudduRamanaManasu-orange text-mudduRamanaManasu-orange' : 'text-gray-400'}"></i>
         </button>
     `;
 
-    // Click to Navigate
+    // Click to Navigate (saving the list position first, for Back)
     card.onclick = (e) => {
         if(e.target.closest('.fav-btn')) return;
+        saveListAnchor();
         window.location.hash = `#verse/${verse.id}`;
     };
 
@@ -311,7 +1795,7 @@ function createVerseCard(verse) {
         
         // FIX: Select the SVG (Lucide replaces the <i> tag), not the 'i'
         const icon = favBtn.firstElementChild;
-        const newStatus = state.favorites.includes(verse.id);
+        const newStatus = isFavorite(verse.id);
         
         if (icon) {
             // 1. Handle Colors
@@ -338,114 +1822,1202 @@ function createVerseCard(verse) {
         }
     };
 
-    return card;
+    return card;
+}
+
+/**
+ * Card preview (first 4 lines) following the reading preferences: the first
+ * visible section, or every visible section line by line when interleaved.
+ */
+function cardPreview(verse, terms) {
+    const { sections, layout } = state.settings.reading;
+    const lines = verse.lines.slice(0, 4);
+    const original = l => `<span class="font-kannada">${SearchCore.highlight(l.kannada_original, terms)}</span>`;
+    const translit = l => `<span class="font-sans ${isScriptScheme(state.translitScheme) ? '' : 'italic'} text-gray-600 dark:text-gray-400">${SearchCore.highlight(transliterationLine(l), terms)}</span>`;
+    const translation = l => `<span class="font-sans text-gray-700 dark:text-gray-300">${SearchCore.highlight(l.english_translation, terms)}</span>`;
+    const visible = [
+        sections.original && original,
+        sections.transliteration && translit,
+        sections.translation && translation
+    ].filter(Boolean);
+
+    if (layout === 'interleaved') {
+        return lines.map(l => `<div class="mb-1">${visible.map(part => part(l)).join('<br>')}</div>`).join('');
+    }
+    return lines.map(visible[0]).join('<br>');
+}
+
+// First transliteration/translation line containing a search hit (highlighted HTML)
+function searchSnippet(verse, terms) {
+    for (const field of ['english_transliteration', 'english_translation']) {
+        for (const line of verse.lines) {
+            const html = SearchCore.highlight(line[field], terms);
+            if (html.includes('<mark')) return html;
+        }
+    }
+    return '';
+}
+
+// Transliteration block: generated in the reader's scheme, with the curated text one tap away
+function renderTransliteration(verse, mark) {
+    const scheme = Transliterate.SCHEMES.find(s => s.id === state.translitScheme);
+    const editorLines = verse.lines.map(l => `<span class="block">${mark(l.english_transliteration)}</span>`).join('');
+
+    if (!scheme) {
+        return `
+                <div class="space-y-2">
+                    <h3 class="text-xs uppercase text-gray-400 font-bold">${t('section.transliteration')} <span class="normal-case font-normal">· ${t('section.editors')}</span></h3>
+                    <p class="font-sans reading-secondary italic text-gray-600 dark:text-gray-400">${editorLines}</p>
+                </div>`;
+    }
+
+    const isScript = isScriptScheme(scheme.id);
+    const generatedLines = verse.lines
+        .map(l => `<span class="block">${mark(transliterationLine(l))}</span>`)
+        .join('');
+
+    return `
+                <div class="space-y-2">
+                    <h3 class="text-xs uppercase text-gray-400 font-bold">${t('section.transliteration')} <span class="normal-case font-normal">· ${scheme.label}</span></h3>
+                    <p class="font-sans reading-secondary ${isScript ? '' : 'italic'} text-gray-600 dark:text-gray-400">${generatedLines}</p>
+                    <details class="pt-1">
+                        <summary class="cursor-pointer text-xs uppercase text-gray-400 font-bold select-none">${t('section.editorsTransliteration')}</summary>
+                        <p class="font-sans text-base italic text-gray-500 dark:text-gray-400 mt-2">${editorLines}</p>
+                    </details>
+                </div>`;
+}
+
+// Devanagari/Telugu are scripts, not romanizations: no italics
+function isScriptScheme(schemeId) {
+    return schemeId === 'devanagari' || schemeId === 'telugu';
+}
+
+// One line's transliteration in the reader's scheme (or the editor's)
+function transliterationLine(line) {
+    if (state.translitScheme === 'editor') return line.english_transliteration;
+    return line.kannada_original ? Transliterate.toScheme(line.kannada_original, state.translitScheme) : '';
+}
+
+// Original / transliteration / translation, as set in READING PREFERENCES
+// 'markOriginal' renders the Kannada lines (the detail page makes their words tappable)
+function renderVerseBody(verse, mark, markOriginal = mark) {
+    const { sections, layout } = state.settings.reading;
+    const translitClass = `font-sans reading-secondary ${isScriptScheme(state.translitScheme) ? '' : 'italic'} text-gray-600 dark:text-gray-400`;
+
+    if (layout === 'interleaved') {
+        // Each Kannada line directly followed by its transliteration and translation
+        return `
+                <div class="space-y-6">
+                    ${verse.lines.map((l, i) => `
+                    <div class="space-y-1 pl-3 border-l-2 border-orange-100 dark:border-gray-700">
+                        ${sections.original ? `<p class="font-kannada reading-original text-gray-900 dark:text-gray-100" data-speak="kannada_original:${i}">${markOriginal(l.kannada_original)}</p>` : ''}
+                        ${sections.transliteration ? `<p class="${translitClass}">${mark(transliterationLine(l))}</p>` : ''}
+                        ${sections.translation ? `<p class="font-sans reading-secondary text-gray-700 dark:text-gray-300" data-speak="english_translation:${i}">${mark(l.english_translation)}</p>` : ''}
+                    </div>`).join('')}
+                </div>`;
+    }
+
+    return `
+                ${sections.original ? `
+                <div class="space-y-2">
+                    <h3 class="text-xs uppercase text-gray-400 font-bold">${t('section.original')}</h3>
+                    <p class="font-kannada reading-original text-gray-900 dark:text-gray-100">
+                        ${verse.lines.map((l, i) => `<span class="block" data-speak="kannada_original:${i}">${markOriginal(l.kannada_original)}</span>`).join('')}
+                    </p>
+                </div>` : ''}
+
+                ${sections.transliteration ? renderTransliteration(verse, mark) : ''}
+
+                ${sections.translation ? `
+                <div class="space-y-2">
+                    <h3 class="text-xs uppercase text-gray-400 font-bold">${t('section.translation')}</h3>
+                    <p class="font-sans reading-secondary text-gray-700 dark:text-gray-300">
+                         ${verse.lines.map((l, i) => `<span data-speak="english_translation:${i}">${mark(l.english_translation)}</span> `).join('')}
+                    </p>
+                </div>` : ''}`;
+}
+
+/**
+ * Previous/next verse within the list the reader came from. Falls back to the
+ * whole book when the verse isn't in that list (deep link, unfavorited, ...).
+ */
+function getDetailNeighbours(id) {
+    let context = state.navContext || { type: 'home' };
+    let ids = getListVerses(context).map(v => v.id);
+    let index = ids.indexOf(id);
+    if (index === -1) {
+        context = { type: 'home' };
+        ids = state.verses.map(v => v.id);
+        index = ids.indexOf(id);
+    }
+    return { context, index, total: ids.length, prev: ids[index - 1], next: ids[index + 1] };
+}
+
+function describeNavContext(context) {
+    if (context.query) return t('list.search', { query: SearchCore.escapeHTML(context.query) });
+    if (context.type === 'favorites') {
+        return context.collection ? `${t('title.favorites')} · ${SearchCore.escapeHTML(context.collection)}` : t('title.favorites');
+    }
+    if (context.type === 'chapter') return VerseData.formatChapterName(context.chapter);
+    if (context.type === 'tag') return `${t('title.tags')} · #${SearchCore.escapeHTML(context.tag)}`;
+    if (context.type === 'recent') return t('title.recent');
+    return t('list.allVerses');
+}
+
+// Step to the previous (-1) or next (+1) verse; the hash change keeps history working
+function stepVerse(direction) {
+    if (state.currentRoute !== 'detail') return;
+    const { prev, next } = getDetailNeighbours(state.currentVerseId);
+    const target = direction < 0 ? prev : next;
+    if (target !== undefined) window.location.hash = `#verse/${target}`;
+}
+
+function renderDetail(id) {
+    const container = document.getElementById('app-container');
+    const verse = state.verses.find(v => v.id === id);
+    
+    if (!verse && state.loadErrors[id]) {
+        container.innerHTML = `
+            <div class="text-center mt-20 p-8 bg-amber-50 dark:bg-amber-900/30 text-amber-800 dark:text-amber-200 rounded-2xl border border-amber-200 dark:border-amber-800" data-verse-pending>
+                <i data-lucide="cloud-off" class="w-8 h-8 mx-auto"></i>
+                <h3 class="text-lg font-bold mt-3">${t('detail.loadFailed', { id })}</h3>
+                <p class="mt-1 text-xs font-mono">${SearchCore.escapeHTML(state.loadErrors[id])}</p>
+                <button id="detail-retry-btn" class="mt-4 px-4 py-2 rounded-full bg-white dark:bg-gray-800 shadow-sm text-sm font-medium">${t('common.retry')}</button>
+            </div>
+        `;
+        document.getElementById('detail-retry-btn').onclick = () => retryFailedVerses([id]);
+        if(window.lucide) lucide.createIcons();
+        return;
+    }
+
+    if (!verse) {
+        if (state.isStreaming) {
+            // Verse lives in a chunk that hasn't arrived yet; onVersesStreamed() re-renders
+            container.innerHTML = `
+                <div class="text-center mt-20 p-4" data-verse-pending>
+                    <i data-lucide="loader-2" class="w-8 h-8 mx-auto animate-spin text-mudduRamanaManasu-orange"></i>
+                    <p class="mt-3 text-lg text-gray-500 dark:text-gray-400">${t('detail.loading', { id })}</p>
+                </div>
+            `;
+            if(window.lucide) lucide.createIcons();
+            return;
+        }
+        container.innerHTML = `<div class="text-center mt-10">${t('detail.notFound')}</div>`;
+        return;
+    }
+
+    recordVisit(verse.id);
+    const isFav = isFavorite(verse.id);
+    // Keep highlighting the terms the reader searched for
+    const terms = activeSearchTerms();
+    const mark = text => text ? SearchCore.highlight(text, terms) : '---';
+    const nav = getDetailNeighbours(verse.id);
+
+    container.innerHTML = `
+        <div class="bg-white dark:bg-mudduRamanaManasu-darkCard rounded-2xl shadow-lg border border-gray-100 dark:border-gray-800 overflow-hidden animate-fade-in">
+            <div class="bg-orange-50 dark:bg-gray-800/50 p-4 flex justify-between items-center border-b border-orange-100 dark:border-gray-700">
+                <div>
+                    <nav aria-label="${t('detail.breadcrumb')}" class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">
+                        <a href="#chapters" class="hover:underline">${t('title.chapters')}</a> ›
+                        <span>${t('common.verse', { id: verse.id })}</span>
+                    </nav>
+                    <h2 class="text-lg font-bold text-gray-800 dark:text-gray-100 font-kannada">
+                        <a href="${chapterHash(verse.chapter)}" class="hover:underline">${VerseData.formatChapterName(verse.chapter)}</a>
+                    </h2>
+                    <p class="text-xs text-gray-500 dark:text-gray-400">${formatNumber(nav.index + 1)} / ${formatNumber(nav.total)} · <span class="font-kannada">${describeNavContext(nav.context)}</span></p>
+                </div>
+                <div class="flex gap-2">
+                     <button id="detail-prev-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm disabled:opacity-40" aria-label="${t('detail.previousVerse')}" title="${t('detail.previousHint')}" ${nav.prev === undefined ? 'disabled' : ''}>
+                        <i data-lucide="chevron-left" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
+                     </button>
+                     <button id="detail-next-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm disabled:opacity-40" aria-label="${t('detail.nextVerse')}" title="${t('detail.nextHint')}" ${nav.next === undefined ? 'disabled' : ''}>
+                        <i data-lucide="chevron-right" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
+                     </button>
+                     <button id="detail-fav-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm">
+                        <i data-lucide="heart" class="w-5 h-5 ${isFav ? 'fill-mudduRamanaManasu-orange text-mudduRamanaManasu-orange' : 'text-gray-400'}"></i>
+                     </button>
+                     <button id="detail-listen-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm ${readAloudSupported() ? '' : 'hidden'}"></button>
+                     <button id="detail-reading-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm" aria-label="${t('detail.readingPrefs')}">
+                        <i data-lucide="type" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
+                     </button>
+                     <button id="detail-share-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm" aria-label="${t('detail.share')}">
+                        <i data-lucide="share-2" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
+                     </button>
+                     <button id="detail-feedback-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm" aria-label="${t('detail.feedback')}" title="${t('detail.feedback')}">
+                        <i data-lucide="message-square" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
+                     </button>
+                </div>
+            </div>
+
+            <div class="p-6 space-y-8">
+                ${renderVerseBody(verse, mark, text => markKannadaWords(text, terms))}
+
+                <div class="space-y-3 pt-6 border-t border-gray-100 dark:border-gray-800">
+                    <h3 class="text-xs uppercase text-gray-400 font-bold">${t('detail.collections')}</h3>
+                    <div id="detail-collections" class="flex flex-wrap items-center gap-2"></div>
+                    <h3 class="text-xs uppercase text-gray-400 font-bold pt-2">${t('title.tags')}</h3>
+                    <div id="detail-tags" class="flex flex-wrap items-center gap-2"></div>
+                    <label for="detail-note" class="block text-xs uppercase text-gray-400 font-bold pt-2">${t('detail.note')}</label>
+                    <textarea id="detail-note" rows="3" placeholder="${t('detail.notePlaceholder')}"
+                        class="w-full p-3 rounded-xl bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange">${SearchCore.escapeHTML(state.notes[verse.id] || '')}</textarea>
+                </div>
+            </div>
+        </div>
+        <section id="detail-related" class="mt-6 hidden" aria-labelledby="detail-related-title">
+            <h3 id="detail-related-title" class="text-xs uppercase text-gray-400 font-bold mb-3">${t('detail.related')}</h3>
+            <div id="detail-related-list" class="grid gap-3 sm:grid-cols-2"></div>
+        </section>
+    `;
+
+    // Handle Detail Fav Click
+    // ... inside renderDetail function ...
+
+    // Handle Detail Fav Click
+    const detailFavBtn = document.getElementById('detail-fav-btn');
+    detailFavBtn.onclick = () => {
+        toggleFavorite(verse.id);
+        
+        // FIX: Target the SVG directly
+        const icon = detailFavBtn.firstElementChild;
+        const newStatus = isFavorite(verse.id);
+        
+        if (icon) {
+             // 1. Handle Colors
+            if (newStatus) {
+                icon.classList.add('fill-mudduRamanaManasu-orange', 'text-mudduRamanaManasu-orange');
+                icon.classList.remove('text-gray-400');
+            } else {
+                icon.classList.remove('fill-mudduRamanaManasu-orange', 'text-mudduRamanaManasu-orange');
+                icon.classList.add('text-gray-400');
+            }
+
+            // 2. Trigger Pop Animation
+            icon.classList.remove('animate-pop');
+            void icon.offsetWidth; // Trigger reflow
+            icon.classList.add('animate-pop');
+        }
+        // Un-favoriting also drops the verse from its collections
+        renderDetailCollections(verse.id);
+    };
+    
+// ... rest of function
+
+    // Collections, tags & private note
+    renderDetailCollections(verse.id);
+    renderDetailTags(verse);
+    document.getElementById('detail-note').addEventListener('input', e => setNote(verse.id, e.target.value));
+
+    // Prev / Next
+    document.getElementById('detail-prev-btn').onclick = () => stepVerse(-1);
+    document.getElementById('detail-next-btn').onclick = () => stepVerse(1);
+
+    document.getElementById('detail-reading-btn').onclick = openReadingModal;
+    document.getElementById('detail-listen-btn').onclick = () => {
+        if (readAloud.active && readAloud.verseId === verse.id) stopReadAloud();
+        else startReadAloud(verse);
+    };
+
+    // Tapping a Kannada word shows where else it occurs
+    container.querySelectorAll('.kannada-word').forEach(btn => {
+        btn.onclick = event => {
+            event.stopPropagation();
+            openWordPopover(btn.dataset.word, btn);
+        };
+    });
+
+    // Handle Share Button (image card, with text as the fallback)
+    document.getElementById('detail-share-btn').onclick = () => openShareModal(verse);
+    // The menu (and so the drawer's Contact) is hidden here: the form opens about this verse
+    document.getElementById('detail-feedback-btn').onclick = openContactModal;
+
+    renderRelatedVerses(verse.id);
+    syncReadAloud(verse);
+    
+    // Refresh icons
+    if(window.lucide) lucide.createIcons();
+}
+
+/**
+ * READ ALOUD (Web Speech API; voices and what to read from lib/read-aloud.js)
+ * One utterance per line, so the line being spoken can be highlighted. In
+ * continuous mode the player goes on through the list the verse was opened
+ * from (chapter, favorites, search results), the way the next button does.
+ */
+const readAloud = {
+    active: false,     // Player showing (speaking or paused)
+    paused: false,
+    verseId: null,     // Verse being read
+    parts: [],         // ReadAloud.utterances() of that verse
+    index: 0,          // Part being spoken
+    notice: '',        // Shown under the controls (no Kannada voice, ...)
+    session: 0,        // Bumped whenever speech is cancelled, so stale 'end' events are ignored
+    advancingTo: null  // Continuous mode: the verse to read once its page has rendered
+};
+
+function readAloudSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+// Voices load asynchronously in some browsers: wait (briefly) for the first list
+function loadVoices() {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) return Promise.resolve(voices);
+    return new Promise(resolve => {
+        const done = () => resolve(speechSynthesis.getVoices());
+        speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+        setTimeout(done, 1000);
+    });
+}
+
+async function startReadAloud(verse) {
+    cancelSpeech();
+    const voices = await loadVoices();
+    const hasKannada = Boolean(ReadAloud.pickVoice(voices, 'kn', 'IN'));
+    Object.assign(readAloud, {
+        active: true,
+        paused: false,
+        verseId: verse.id,
+        parts: ReadAloud.utterances(verse, { kannada: hasKannada }),
+        index: 0,
+        notice: hasKannada ? '' : t('listen.noKannadaVoice'),
+        advancingTo: null
+    });
+    renderReadAloudBar();
+    if (readAloud.parts.length === 0 && !state.settings.readAloud.continuous) {
+        stopReadAloud();
+        showToast(t('listen.nothing'));
+        return;
+    }
+    speakPart(voices);
+}
+
+function speakPart(voices = speechSynthesis.getVoices()) {
+    const part = readAloud.parts[readAloud.index];
+    if (!part) {
+        finishReadAloudVerse();
+        return;
+    }
+    const session = readAloud.session;
+    const voice = ReadAloud.pickVoice(voices, part.lang, 'IN');
+    const utterance = new SpeechSynthesisUtterance(part.text);
+    utterance.lang = voice ? voice.lang : `${part.lang}-IN`;
+    if (voice) utterance.voice = voice;
+    utterance.rate = state.settings.readAloud.rate;
+    utterance.onend = () => {
+        if (session !== readAloud.session) return;
+        readAloud.index++;
+        speakPart();
+    };
+    utterance.onerror = e => {
+        if (session !== readAloud.session || e.error === 'interrupted' || e.error === 'canceled') return;
+        console.warn('Read aloud failed:', e.error);
+        stopReadAloud();
+        showToast(t('listen.failed'));
+    };
+    speechSynthesis.speak(utterance);
+    highlightSpokenLine();
+}
+
+// End of a verse: on to the next one in continuous mode, otherwise close the player
+function finishReadAloudVerse() {
+    const onPage = state.currentRoute === 'detail' && state.currentVerseId === readAloud.verseId;
+    const next = onPage ? getDetailNeighbours(readAloud.verseId).next : undefined;
+    if (state.settings.readAloud.continuous && next !== undefined) {
+        readAloud.advancingTo = next;
+        highlightSpokenLine();
+        window.location.hash = `#verse/${next}`;
+        return;
+    }
+    stopReadAloud();
+    if (state.settings.readAloud.continuous && onPage) showToast(t('listen.finished'));
+}
+
+// Called by renderDetail: start on the verse continuous mode moved to, keep the highlight on a re-render, stop elsewhere
+function syncReadAloud(verse) {
+    if (readAloud.active && readAloud.advancingTo === verse.id) {
+        startReadAloud(verse);
+    } else if (readAloud.active && readAloud.verseId === verse.id && readAloud.advancingTo === null) {
+        renderReadAloudBar();
+        highlightSpokenLine();
+    } else if (readAloud.active) {
+        stopReadAloud();
+    }
+    updateListenButton();
+}
+
+function cancelSpeech() {
+    readAloud.session++;
+    if (readAloudSupported()) speechSynthesis.cancel();
+}
+
+function stopReadAloud() {
+    cancelSpeech();
+    Object.assign(readAloud, { active: false, paused: false, verseId: null, parts: [], index: 0, notice: '', advancingTo: null });
+    highlightSpokenLine();
+    document.getElementById('read-aloud-bar').classList.add('hidden');
+    updateListenButton();
+}
+
+// speechSynthesis.pause() is unreliable on mobile: cancel, and resume from the start of the line
+function toggleReadAloudPause() {
+    if (!readAloud.active) return;
+    readAloud.paused = !readAloud.paused;
+    if (readAloud.paused) cancelSpeech();
+    else speakPart();
+    renderReadAloudBar();
+}
+
+function setReadAloudPrefs(changes) {
+    state.settings.readAloud = { ...state.settings.readAloud, ...changes };
+    saveUserData();
+    // A new speed applies at once: say the current line again
+    if ('rate' in changes && readAloud.active && !readAloud.paused && readAloud.advancingTo === null) {
+        cancelSpeech();
+        speakPart();
+    }
+}
+
+function highlightSpokenLine() {
+    document.querySelectorAll('#app-container .speaking').forEach(el => el.classList.remove('speaking'));
+    const part = readAloud.active && readAloud.advancingTo === null && readAloud.parts[readAloud.index];
+    const line = part && document.querySelector(`#app-container [data-speak="${part.field}:${part.line}"]`);
+    if (!line) return;
+    line.classList.add('speaking');
+    line.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+function renderReadAloudBar() {
+    const { rate, continuous } = state.settings.readAloud;
+    document.getElementById('read-aloud-bar').classList.remove('hidden');
+    const toggle = document.getElementById('read-aloud-toggle');
+    toggle.setAttribute('aria-label', t(readAloud.paused ? 'listen.resume' : 'listen.pause'));
+    toggle.innerHTML = `<i data-lucide="${readAloud.paused ? 'play' : 'pause'}" class="w-5 h-5"></i>`;
+    document.getElementById('read-aloud-status').textContent = t(readAloud.paused ? 'listen.paused' : 'listen.reading', { id: readAloud.verseId });
+    document.getElementById('read-aloud-rate').innerHTML = ReadAloud.RATES
+        .map(r => `<option value="${r}" ${r === rate ? 'selected' : ''}>${formatNumber(r)}×</option>`).join('');
+    document.getElementById('read-aloud-continuous').checked = continuous;
+    const notice = document.getElementById('read-aloud-notice');
+    notice.textContent = readAloud.notice;
+    notice.classList.toggle('hidden', !readAloud.notice);
+    if(window.lucide) lucide.createIcons();
+}
+
+// Detail header button: listen, or stop when this verse is being read
+function updateListenButton() {
+    const btn = document.getElementById('detail-listen-btn');
+    if (!btn) return;
+    const playing = readAloud.active && readAloud.verseId === Number(state.currentVerseId);
+    btn.setAttribute('aria-label', t(playing ? 'listen.stop' : 'listen.play'));
+    btn.setAttribute('aria-pressed', String(playing));
+    btn.innerHTML = `<i data-lucide="${playing ? 'square' : 'volume-2'}" class="w-5 h-5 ${playing ? 'text-mudduRamanaManasu-orange' : 'text-gray-600 dark:text-gray-300'}"></i>`;
+    if(window.lucide) lucide.createIcons();
+}
+
+/**
+ * WORD CONCORDANCE (#words, #words/<word> and the word popover; see lib/concordance.js)
+ */
+const WORDS_PAGE_SIZE = 300;
+
+// Built on first use and again whenever more verses have streamed in
+let concordanceCache = { verses: null, concordance: null };
+
+function getConcordance() {
+    if (concordanceCache.verses !== state.verses) {
+        concordanceCache = { verses: state.verses, concordance: Concordance.buildConcordance(state.verses) };
+    }
+    return concordanceCache.concordance;
+}
+
+// Line HTML with the given word (key) highlighted
+function markWord(text, word) {
+    return Concordance.splitWords(text).map(segment => segment.word === word
+        ? `<mark class="search-hit">${SearchCore.escapeHTML(segment.text)}</mark>`
+        : SearchCore.escapeHTML(segment.text)).join('');
+}
+
+// Kannada line for the detail page: each word opens the word popover; search terms stay highlighted
+function markKannadaWords(text, terms) {
+    if (!text) return '---';
+    return Concordance.splitWords(text).map(({ text: part, word }) => {
+        const html = SearchCore.escapeHTML(part);
+        if (!word) return html;
+        const hit = terms.some(term => word.startsWith(term));
+        return `<button type="button" class="kannada-word" data-word="${SearchCore.escapeHTML(word)}">${hit ? `<mark class="search-hit">${html}</mark>` : html}</button>`;
+    }).join('');
+}
+
+// #words: every distinct word with its frequency, filterable and sortable
+function renderWordsIndex() {
+    const container = document.getElementById('app-container');
+    const { words } = getConcordance();
+    const view = state.wordsView;
+    const selectClass = 'px-3 py-1.5 rounded-full bg-white dark:bg-mudduRamanaManasu-darkCard border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange';
+
+    container.innerHTML = `
+        <div class="animate-fade-in">
+            <div class="mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700">
+                <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">${t('title.words')}</p>
+                <p class="text-sm text-gray-600 dark:text-gray-300 mt-1">${t('words.intro', { count: words.length })}</p>
+            </div>
+            <div class="flex flex-wrap items-center gap-2 mb-4">
+                <label class="sr-only" for="words-filter">${t('words.filter')}</label>
+                <input id="words-filter" type="search" value="${SearchCore.escapeHTML(view.filter)}" placeholder="${t('words.filterPlaceholder')}" autocomplete="off"
+                    class="flex-1 min-w-[10rem] px-4 py-1.5 rounded-full bg-white dark:bg-mudduRamanaManasu-darkCard border border-gray-200 dark:border-gray-700 text-sm font-kannada text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange">
+                <label class="sr-only" for="words-sort">${t('words.sort')}</label>
+                <select id="words-sort" class="${selectClass}">
+                    <option value="count" ${view.sort === 'count' ? 'selected' : ''}>${t('words.mostFrequent')}</option>
+                    <option value="alpha" ${view.sort === 'alpha' ? 'selected' : ''}>ಅ–ಳ</option>
+                </select>
+            </div>
+            <div id="words-list"></div>
+        </div>
+    `;
+
+    const filter = document.getElementById('words-filter');
+    filter.oninput = () => {
+        state.wordsView = { ...state.wordsView, filter: filter.value, limit: WORDS_PAGE_SIZE };
+        renderWordsList();
+    };
+    document.getElementById('words-sort').onchange = e => {
+        state.wordsView = { ...state.wordsView, sort: e.target.value, limit: WORDS_PAGE_SIZE };
+        renderWordsList();
+    };
+    renderWordsList();
+}
+
+function renderWordsList() {
+    const { words } = getConcordance();
+    const { filter, sort, limit } = state.wordsView;
+    const needle = SearchCore.fold(filter.trim());
+    let shown = needle ? words.filter(w => w.word.includes(needle)) : words;
+    if (sort === 'alpha') shown = shown.slice().sort((a, b) => Concordance.compareWords(a.word, b.word));
+
+    const list = document.getElementById('words-list');
+    if (shown.length === 0) {
+        list.innerHTML = `<div class="text-center mt-12 text-gray-500">${t('words.empty')}</div>`;
+        return;
+    }
+    list.innerHTML = `
+        <ul class="flex flex-wrap gap-2">
+            ${shown.slice(0, limit).map(w => `
+                <li>
+                    <a href="#words/${encodeURIComponent(w.word)}" class="inline-flex items-baseline gap-1.5 px-3 py-1.5 rounded-full bg-white dark:bg-mudduRamanaManasu-darkCard border border-gray-100 dark:border-gray-800 shadow-sm hover:border-mudduRamanaManasu-orange">
+                        <span class="font-kannada text-gray-800 dark:text-gray-200">${SearchCore.escapeHTML(w.word)}</span>
+                        <span class="text-[11px] text-gray-400">${formatNumber(w.count)}</span>
+                    </a>
+                </li>`).join('')}
+        </ul>
+        ${shown.length > limit ? `
+            <button id="words-more-btn" class="block mx-auto mt-6 px-4 py-2 rounded-full border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200">
+                ${t('words.more', { count: shown.length - limit })}
+            </button>` : ''}
+    `;
+    const moreBtn = document.getElementById('words-more-btn');
+    if (moreBtn) {
+        moreBtn.onclick = () => {
+            state.wordsView = { ...state.wordsView, limit: limit + WORDS_PAGE_SIZE };
+            renderWordsList();
+        };
+    }
+}
+
+// #words/<word>: every verse and line the word occurs in
+function renderWordOccurrences(word) {
+    const container = document.getElementById('app-container');
+    const { words, occurrences } = getConcordance();
+    const entry = words.find(w => w.word === word);
+    const lines = occurrences.get(word) || [];
+
+    container.innerHTML = `
+        <div class="animate-fade-in">
+            <div class="mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700">
+                <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider"><a href="#words" class="hover:underline">${t('title.words')}</a></p>
+                <h2 class="text-2xl font-bold text-gray-800 dark:text-gray-100 font-kannada mt-1">${SearchCore.escapeHTML(word)}</h2>
+                <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    ${entry ? t('words.frequency', { occurrences: t('common.occurrenceCount', { count: entry.count }), verses: t('common.inVerses', { count: entry.verses }) }) : t(state.isStreaming ? 'words.loading' : 'words.absent')}
+                </p>
+            </div>
+            <ol class="space-y-2">
+                ${lines.map(o => `
+                    <li>
+                        <a href="#verse/${o.id}" class="block p-3 rounded-xl bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm border border-gray-100 dark:border-gray-800 hover:shadow-md transition-all">
+                            <p class="text-xs font-bold text-mudduRamanaManasu-orange">${t('words.occurrence', { id: o.id, line: o.line })} · <span class="font-kannada">${VerseData.formatChapterName(o.chapter)}</span></p>
+                            <p class="mt-1 font-kannada text-gray-800 dark:text-gray-200">${markWord(o.text, word)}</p>
+                        </a>
+                    </li>`).join('')}
+            </ol>
+        </div>
+    `;
+}
+
+// Small panel next to a tapped word on the detail page
+function openWordPopover(word, anchor) {
+    const popover = document.getElementById('word-popover');
+    const { words, occurrences } = getConcordance();
+    const entry = words.find(w => w.word === word);
+    const others = (occurrences.get(word) || []).filter(o => o.id !== state.currentVerseId);
+
+    document.getElementById('word-popover-title').textContent = word;
+    document.getElementById('word-popover-body').innerHTML = `
+        <p class="text-xs text-gray-500 dark:text-gray-400">${entry ? t('words.frequency', { occurrences: t('common.occurrenceCount', { count: entry.count }), verses: t('common.inVerses', { count: entry.verses }) }) : ''}</p>
+        <ul class="mt-2 space-y-1">
+            ${others.slice(0, 3).map(o => `
+                <li><a href="#verse/${o.id}" class="block text-sm font-kannada text-gray-700 dark:text-gray-300 hover:text-mudduRamanaManasu-orange truncate"><span class="text-xs text-gray-400 font-sans">${formatNumber(o.id)}</span> ${markWord(o.text, word)}</a></li>
+            `).join('')}
+        </ul>
+        <a href="#words/${encodeURIComponent(word)}" class="inline-block mt-3 text-sm font-medium text-mudduRamanaManasu-orange hover:underline">
+            ${t(others.length ? 'words.seeAll' : 'words.onlyHere')}
+        </a>
+    `;
+
+    // Below the word, kept inside the viewport (above it when there is no room below)
+    popover.classList.remove('hidden');
+    const rect = anchor.getBoundingClientRect();
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    const left = Math.min(Math.max(8, rect.left), window.innerWidth - width - 8);
+    const below = rect.bottom + 8;
+    popover.style.left = `${left}px`;
+    popover.style.top = `${below + height > window.innerHeight ? Math.max(8, rect.top - height - 8) : below}px`;
+    popover.dataset.word = word;
+    document.getElementById('word-popover-close').focus();
+}
+
+// 'restoreFocus': back to the word that opened it (Esc / close button), when it is still on the page
+function closeWordPopover(restoreFocus) {
+    const popover = document.getElementById('word-popover');
+    if (popover.classList.contains('hidden')) return;
+    popover.classList.add('hidden');
+    const word = document.querySelector(`.kannada-word[data-word="${CSS.escape(popover.dataset.word || '')}"]`);
+    if (restoreFocus && word) word.focus();
+}
+
+/**
+ * RELATED VERSES (precomputed by scripts/build-data.js, see lib/related.js)
+ */
+function loadRelated() {
+    if (!state.related) {
+        const entry = state.manifest && state.manifest.related;
+        state.related = entry
+            ? fetchJSON(`data/${entry.file}`).catch(error => {
+                console.warn('Related verses unavailable', error);
+                state.related = null; // Try again on the next verse
+                return {};
+            })
+            : Promise.resolve({});
+    }
+    return state.related;
+}
+
+// Mini cards under the detail view; skipped if the reader has moved on before the list arrives
+async function renderRelatedVerses(id) {
+    const related = await loadRelated();
+    const section = document.getElementById('detail-related');
+    if (!section || state.currentRoute !== 'detail' || state.currentVerseId !== id) return;
+
+    const ids = related[id] || [];
+    section.classList.toggle('hidden', ids.length === 0);
+    document.getElementById('detail-related-list').innerHTML = ids.map(relatedId => {
+        const verse = state.verses.find(v => v.id === relatedId);
+        const firstLine = verse ? verse.lines.map(l => l.kannada_original).find(Boolean) : '';
+        return `
+            <a href="#verse/${relatedId}" class="block p-3 rounded-xl bg-white dark:bg-mudduRamanaManasu-darkCard shadow-sm border border-gray-100 dark:border-gray-800 hover:shadow-md transition-all">
+                <p class="text-xs font-bold text-mudduRamanaManasu-orange">${t('common.verse', { id: relatedId })}${verse ? ` · <span class="font-kannada">${VerseData.formatChapterName(verse.chapter)}</span>` : ''}</p>
+                <p class="mt-1 font-kannada text-sm text-gray-800 dark:text-gray-200 truncate">${SearchCore.escapeHTML(firstLine || '…')}</p>
+            </a>`;
+    }).join('');
+}
+
+/**
+ * ACTIONS & UTILS
+ */
+function toggleFavorite(id) {
+    if (isFavorite(id)) {
+        state.favorites = state.favorites.filter(f => f.id !== id);
+    } else {
+        state.favorites.push({ id, added: Date.now(), collections: [] });
+    }
+    saveUserData();
+}
+
+/**
+ * USER DATA (one versioned localStorage entry, see lib/user-data.js)
+ */
+function loadUserData() {
+    applyUserData(UserData.load(localStorage));
+}
+
+function applyUserData(data) {
+    state.favorites = data.favorites;
+    state.collections = data.collections;
+    state.tags = data.tags;
+    state.notes = data.notes;
+    state.favoritesView = data.favoritesView;
+    state.settings = data.settings;
+    state.history = data.history;
+    state.practice = data.practice;
+}
+
+function userDataFromState() {
+    return {
+        version: UserData.SCHEMA_VERSION,
+        favorites: state.favorites,
+        collections: state.collections,
+        tags: state.tags,
+        notes: state.notes,
+        favoritesView: state.favoritesView,
+        settings: state.settings,
+        history: state.history,
+        practice: state.practice
+    };
+}
+
+function saveUserData() {
+    UserData.save(localStorage, userDataFromState());
+}
+
+// Download everything as a JSON file ("Export my data")
+function exportUserData() {
+    const blob = new Blob([UserData.createBackup(userDataFromState())], { type: 'application/json' });
+    downloadBlob(blob, `mudduRamanaManasu-backup-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+// "Import": validate the chosen file, then ask whether to merge or replace
+async function importUserData(file) {
+    let incoming;
+    try {
+        incoming = UserData.parseBackup(await file.text());
+    } catch (error) {
+        openDataModal(t('data.importFailed'), `<p>${SearchCore.escapeHTML(error.message)}</p>`, [{ label: t('common.close') }]);
+        return;
+    }
+
+    openDataModal(t('data.importTitle'), `
+        <p>${t('data.importContents', {
+            favorites: t('common.favoriteCount', { count: incoming.favorites.length }),
+            collections: t('common.collectionCount', { count: incoming.collections.length }),
+            notes: t('common.noteCount', { count: Object.keys(incoming.notes).length })
+        })}</p>
+        <p class="mt-2 text-sm text-gray-500 dark:text-gray-400">${t('data.importExplain')}</p>
+    `, [
+        { label: t('common.cancel') },
+        { label: t('data.replace'), action: () => applyImport(incoming) },
+        { label: t('data.merge'), primary: true, action: () => applyImport(UserData.mergeData(userDataFromState(), incoming)) }
+    ]);
+}
+
+function applyImport(data) {
+    const summary = UserData.summarizeChanges(userDataFromState(), data);
+    applyUserData(data);
+    saveUserData();
+
+    // Settings may have changed; re-apply them and whatever is on screen
+    applyLanguage();
+    setTheme(state.settings.theme === 'dark');
+    setPhoneticInput(state.settings.phonetic);
+    setTranslitScheme(state.settings.translit || 'iast');
+    applyReadingPrefs();
+    handleRouting();
+
+    openDataModal(t('data.importComplete'), describeImportChanges(summary), [{ label: t('common.done'), primary: true }]);
+}
+
+function describeImportChanges(summary) {
+    const line = (label, parts) => {
+        const text = parts.filter(([count]) => count > 0).map(([count, key]) => t(key, { count })).join(', ');
+        return `<li><strong>${label}:</strong> ${text || t('data.noChange')}</li>`;
+    };
+    return `
+        <ul class="space-y-1">
+            ${line(t('title.favorites'), [[summary.favorites.added, 'data.added'], [summary.favorites.removed, 'data.removed']])}
+            ${line(t('detail.collections'), [[summary.collections.added, 'data.added'], [summary.collections.removed, 'data.removed']])}
+            ${line(t('title.tags'), [[summary.tags.added, 'data.added'], [summary.tags.removed, 'data.removed']])}
+            ${line(t('data.notes'), [[summary.notes.added, 'data.added'], [summary.notes.changed, 'data.changed'], [summary.notes.removed, 'data.removed']])}
+            ${line(t('progress.label'), [[summary.read.added, 'data.added']])}
+            ${line(t('data.inPractice'), [[summary.practice.added, 'data.added']])}
+            <li><strong>${t('drawer.settings')}:</strong> ${t(summary.settingsChanged ? 'data.updated' : 'data.noChange')}</li>
+        </ul>
+        <p class="mt-3 text-sm text-gray-500 dark:text-gray-400">${t('data.nowHave', {
+            favorites: t('common.favoriteCount', { count: state.favorites.length }),
+            notes: t('common.noteCount', { count: Object.keys(state.notes).length })
+        })}</p>
+    `;
+}
+
+// Small dialog for the import flow: buttons are { label, primary, action }
+function openDataModal(title, bodyHTML, buttons) {
+    document.getElementById('data-modal-title').textContent = title;
+    document.getElementById('data-modal-body').innerHTML = bodyHTML;
+
+    const actions = document.getElementById('data-modal-actions');
+    actions.innerHTML = '';
+    buttons.forEach(({ label, primary, action }) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.className = primary
+            ? 'rounded-lg bg-mudduRamanaManasu-orange px-4 py-2 text-sm font-semibold text-white shadow-sm active:scale-95 transition-all'
+            : 'rounded-lg bg-white dark:bg-gray-700 px-4 py-2 text-sm font-semibold text-gray-900 dark:text-white shadow-sm ring-1 ring-inset ring-gray-300 dark:ring-gray-600 active:scale-95 transition-all';
+        btn.onclick = () => {
+            closeDataModal();
+            if (action) action();
+        };
+        actions.appendChild(btn);
+    });
+
+    getDialog('data-modal').open();
+}
+
+function closeDataModal() {
+    getDialog('data-modal').close();
+}
+
+/**
+ * FAVORITES, COLLECTIONS & NOTES
+ * Favorites are records ({ id, added, collections }) so they can be sorted by
+ * date and grouped into the reader's own named collections. Notes are kept
+ * separately: a verse can have a note without being a favorite.
+ */
+function favoriteRecord(id) {
+    return state.favorites.find(f => f.id === id);
+}
+
+function isFavorite(id) {
+    return Boolean(favoriteRecord(id));
+}
+
+// Add a collection (names are trimmed and unique); returns its name, or null if empty
+function createCollection(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return null;
+    if (!state.collections.includes(trimmed)) {
+        state.collections.push(trimmed);
+        saveUserData();
+    }
+    return trimmed;
+}
+
+function deleteCollection(name) {
+    state.collections = state.collections.filter(c => c !== name);
+    state.favorites.forEach(f => { f.collections = f.collections.filter(c => c !== name); });
+    saveUserData();
+    if (state.favoritesView.collection === name) setFavoritesView({ collection: null });
+}
+
+// Put a verse in a collection (favoriting it if needed) or take it out
+function setVerseInCollection(id, name, included) {
+    let record = favoriteRecord(id);
+    if (!record) {
+        if (!included) return;
+        record = { id, added: Date.now(), collections: [] };
+        state.favorites.push(record);
+    }
+    record.collections = record.collections.filter(c => c !== name);
+    if (included) record.collections.push(name);
+    saveUserData();
+}
+
+function setNote(id, text) {
+    if (text.trim()) {
+        state.notes[id] = text;
+    } else {
+        delete state.notes[id];
+    }
+    saveUserData();
+}
+
+function setFavoritesView(changes) {
+    state.favoritesView = { ...state.favoritesView, ...changes };
+    saveUserData();
+}
+
+// Order favorite verses: newest first, by verse number, or by chapter name (then verse)
+function sortFavorites(verses, records, sort) {
+    const sorted = verses.slice();
+    if (sort === 'added') {
+        sorted.sort((a, b) => records.get(b.id).added - records.get(a.id).added);
+    } else if (sort === 'chapter') {
+        sorted.sort((a, b) => VerseData.formatChapterName(a.chapter).localeCompare(VerseData.formatChapterName(b.chapter), 'kn') || a.id - b.id);
+    }
+    return sorted;
+}
+
+// Sort and collection controls above the Favorites list
+function createFavoritesToolbar() {
+    const { sort, collection } = state.favoritesView;
+    const countIn = name => state.favorites.filter(f => f.collections.includes(name)).length;
+    const selectClass = 'px-3 py-1.5 rounded-full bg-white dark:bg-mudduRamanaManasu-darkCard border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'flex flex-wrap items-center gap-2 mb-4';
+    toolbar.innerHTML = `
+        <label class="sr-only" for="favorites-sort">${t('favorites.sort')}</label>
+        <select id="favorites-sort" class="${selectClass}">
+            <option value="added" ${sort === 'added' ? 'selected' : ''}>${t('favorites.sortAdded')}</option>
+            <option value="verse" ${sort === 'verse' ? 'selected' : ''}>${t('favorites.sortVerse')}</option>
+            <option value="chapter" ${sort === 'chapter' ? 'selected' : ''}>${t('favorites.sortChapter')}</option>
+        </select>
+        <label class="sr-only" for="favorites-collection">${t('favorites.collection')}</label>
+        <select id="favorites-collection" class="${selectClass}">
+            <option value="">${t('favorites.all', { count: state.favorites.length })}</option>
+            ${state.collections.map(name => `
+                <option value="${SearchCore.escapeHTML(name)}" ${name === collection ? 'selected' : ''}>${SearchCore.escapeHTML(name)} (${formatNumber(countIn(name))})</option>
+            `).join('')}
+        </select>
+        <a href="#practice/favorites" class="px-3 py-1.5 rounded-full border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-200 hover:border-mudduRamanaManasu-orange flex items-center gap-1">
+            <i data-lucide="brain" class="w-4 h-4"></i> ${t('favorites.practise')}
+        </a>
+        ${collection ? `
+            <button id="favorites-delete-collection" class="ml-auto text-xs text-gray-500 dark:text-gray-400 hover:text-red-600 flex items-center gap-1">
+                <i data-lucide="trash-2" class="w-4 h-4"></i> ${t('favorites.deleteCollection')}
+            </button>
+        ` : ''}
+    `;
+
+    toolbar.querySelector('#favorites-sort').onchange = e => {
+        setFavoritesView({ sort: e.target.value });
+        renderList(true);
+    };
+    toolbar.querySelector('#favorites-collection').onchange = e => {
+        setFavoritesView({ collection: e.target.value || null });
+        renderList(true);
+        if(window.lucide) lucide.createIcons();
+    };
+    const deleteBtn = toolbar.querySelector('#favorites-delete-collection');
+    if (deleteBtn) {
+        deleteBtn.onclick = () => {
+            if (!confirm(t('favorites.deleteConfirm', { name: collection }))) return;
+            deleteCollection(collection);
+            renderList(true);
+        };
+    }
+    return toolbar;
 }
 
-function renderDetail(id) {
-    const container = document.getElementById('app-container');
-    const verse = state.verses.find(v => v.id === id);
-    
-    if (!verse) {
-        container.innerHTML = '<div class="text-center mt-10">Verse not found</div>';
-        return;
+// Date added, collections and note excerpt, shown on cards in the Favorites list
+function favoriteCardMeta(id) {
+    const record = favoriteRecord(id);
+    const note = state.notes[id];
+    const parts = [];
+    if (record && record.added) {
+        parts.push(t('favorites.added', { date: translator.formatDate(record.added, { day: 'numeric', month: 'short', year: 'numeric' }) }));
     }
+    if (record && record.collections.length) parts.push(record.collections.map(c => SearchCore.escapeHTML(c)).join(', '));
+    return `
+        ${parts.length ? `<p class="mt-2 text-xs text-gray-400">${parts.join(' · ')}</p>` : ''}
+        ${note ? `<p class="mt-1 text-sm text-gray-500 dark:text-gray-400 italic line-clamp-2">${SearchCore.escapeHTML(note)}</p>` : ''}
+    `;
+}
 
-    const isFav = state.favorites.includes(verse.id);
+// Collection chips in the detail view: tap to add/remove, or name a new collection
+function renderDetailCollections(id) {
+    const container = document.getElementById('detail-collections');
+    if (!container) return;
+    const record = favoriteRecord(id);
+    const inCollection = name => Boolean(record && record.collections.includes(name));
 
     container.innerHTML = `
-        <div class="bg-white dark:bg-mudduRamanaManasu-darkCard rounded-2xl shadow-lg border border-gray-100 dark:border-gray-800 overflow-hidden animate-fade-in">
-            <div class="bg-orange-50 dark:bg-gray-800/50 p-4 flex justify-between items-center border-b border-orange-100 dark:border-gray-700">
-                <div>
-                    <span class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">Verse ${verse.id}</span>
-                    <h2 class="text-lg font-bold text-gray-800 dark:text-gray-100 font-kannada">${verse.chapter}</h2>
-                </div>
-                <div class="flex gap-2">
-                     <button id="detail-fav-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm">
-                        <i data-lucide="heart" class="w-5 h-5 ${isFav ? 'fill-mudduRamanaManasu-orange text-mudduRamanaManasu-orange' : 'text-gray-400'}"></i>
-                     </button>
-                     <button id="detail-share-btn" class="p-2 rounded-full bg-white dark:bg-gray-700 shadow-sm">
-                        <i data-lucide="share-2" class="w-5 h-5 text-gray-600 dark:text-gray-300"></i>
-                     </button>
-                </div>
-            </div>
+        ${state.collections.map((name, i) => `
+            <button data-collection-index="${i}" aria-pressed="${inCollection(name)}"
+                class="px-3 py-1 rounded-full text-sm border transition-colors ${inCollection(name)
+                    ? 'bg-mudduRamanaManasu-orange border-mudduRamanaManasu-orange text-white'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'}">${SearchCore.escapeHTML(name)}</button>
+        `).join('')}
+        <form id="new-collection-form" class="flex items-center gap-1">
+            <label class="sr-only" for="new-collection-input">${t('detail.newCollection')}</label>
+            <input id="new-collection-input" type="text" placeholder="${t('detail.newCollection')}" maxlength="60"
+                class="w-36 px-3 py-1 rounded-full bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-sm text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange">
+            <button type="submit" class="p-1 text-mudduRamanaManasu-orange" aria-label="${t('detail.addCollection')}">
+                <i data-lucide="plus" class="w-5 h-5"></i>
+            </button>
+        </form>
+    `;
 
-            <div class="p-6 space-y-8">
-                <div class="space-y-2">
-                    <h3 class="text-xs uppercase text-gray-400 font-bold">Original</h3>
-                    <p class="font-kannada text-2xl leading-loose text-gray-900 dark:text-gray-100">
-                        ${verse.lines.map(l => `<span class="block">${l.kannada_original || '---'}</span>`).join('')}
-                    </p>
-                </div>
+    container.querySelectorAll('[data-collection-index]').forEach(btn => {
+        btn.onclick = () => {
+            const name = state.collections[btn.dataset.collectionIndex];
+            setVerseInCollection(id, name, !inCollection(name));
+            refreshDetailFavorite(id);
+        };
+    });
+    document.getElementById('new-collection-form').onsubmit = e => {
+        e.preventDefault();
+        const name = createCollection(document.getElementById('new-collection-input').value);
+        if (!name) return;
+        setVerseInCollection(id, name, true);
+        refreshDetailFavorite(id);
+    };
+    if(window.lucide) lucide.createIcons();
+}
 
-                <div class="space-y-2">
-                    <h3 class="text-xs uppercase text-gray-400 font-bold">Transliteration</h3>
-                    <p class="font-sans text-lg italic text-gray-600 dark:text-gray-400">
-                         ${verse.lines.map(l => `<span class="block">${l.english_transliteration || '---'}</span>`).join('')}
-                    </p>
-                </div>
+// Adding to a collection favorites the verse: sync the heart and the chips
+function refreshDetailFavorite(id) {
+    const icon = document.querySelector('#detail-fav-btn > *');
+    if (icon) {
+        const isFav = isFavorite(id);
+        icon.classList.toggle('fill-mudduRamanaManasu-orange', isFav);
+        icon.classList.toggle('text-mudduRamanaManasu-orange', isFav);
+        icon.classList.toggle('text-gray-400', !isFav);
+    }
+    renderDetailCollections(id);
+}
 
-                <div class="space-y-2">
-                    <h3 class="text-xs uppercase text-gray-400 font-bold">Translation</h3>
-                    <p class="font-sans text-lg text-gray-700 dark:text-gray-300">
-                         ${verse.lines.map(l => `<span>${l.english_translation || '---'} </span>`).join('')}
-                    </p>
-                </div>
-            </div>
-        </div>
-    `;
+/**
+ * TAGS (#tags, #tag/<name> and the chips on the detail page; see lib/tags.js)
+ * The reader's tags are kept per verse next to the favorites; built-in tags
+ * come from the data and are shown alongside them but can't be removed.
+ */
+const TAG_CLOUD_SIZES = ['text-sm', 'text-base', 'text-lg', 'text-xl', 'text-2xl'];
 
-    // Handle Detail Fav Click
-    // ... inside renderDetail function ...
+function tagHash(name) {
+    return `#tag/${encodeURIComponent(name)}`;
+}
 
-    // Handle Detail Fav Click
-    const detailFavBtn = document.getElementById('detail-fav-btn');
-    detailFavBtn.onclick = () => {
-        toggleFavorite(verse.id);
-        
-        // FIX: Target the SVG directly
-        const icon = detailFavBtn.firstElementChild;
-        const newStatus = state.favorites.includes(verse.id);
-        
-        if (icon) {
-             // 1. Handle Colors
-            if (newStatus) {
-                icon.classList.add('fill-mudduRamanaManasu-orange', 'text-mudduRamanaManasu-orange');
-                icon.classList.remove('text-gray-400');
-            } else {
-                icon.classList.remove('fill-mudduRamanaManasu-orange', 'text-mudduRamanaManasu-orange');
-                icon.classList.add('text-gray-400');
-            }
+function userTags(id) {
+    return state.tags[id] || [];
+}
 
-            // 2. Trigger Pop Animation
-            icon.classList.remove('animate-pop');
-            void icon.offsetWidth; // Trigger reflow
-            icon.classList.add('animate-pop');
-        }
-    };
-    
-// ... rest of function
+function verseTags(verse) {
+    return Tags.verseTags(verse, userTags(verse.id));
+}
+
+// Tag a verse; returns the (normalized) tag name, or null if empty
+function addVerseTag(id, name) {
+    const tag = Tags.normalize(name);
+    if (!tag) return null;
+    if (!userTags(id).includes(tag)) {
+        state.tags[id] = [...userTags(id), tag];
+        saveUserData();
+    }
+    return tag;
+}
+
+function removeVerseTag(id, name) {
+    const rest = userTags(id).filter(n => n !== name);
+    if (rest.length) state.tags[id] = rest;
+    else delete state.tags[id];
+    saveUserData();
+}
+
+// Take one of the reader's tags off every verse (built-in tags stay)
+function deleteTag(name) {
+    Object.keys(state.tags).forEach(id => {
+        const rest = state.tags[id].filter(n => n !== name);
+        if (rest.length) state.tags[id] = rest;
+        else delete state.tags[id];
+    });
+    saveUserData();
+}
+
+// Tag chips in the detail view, with a field to add one (suggesting tags already in use)
+function renderDetailTags(verse) {
+    const container = document.getElementById('detail-tags');
+    if (!container) return;
+    const builtIn = Tags.builtInTags(verse);
+    const own = userTags(verse.id).filter(name => !builtIn.includes(name));
+    const onVerse = verseTags(verse);
+    const suggestions = Tags.summarize(state.verses, state.tags).map(tag => tag.name).filter(name => !onVerse.includes(name));
+    const esc = SearchCore.escapeHTML;
+
+    container.innerHTML = `
+        ${builtIn.map(name => `
+            <a href="${tagHash(name)}" title="${t('tags.builtIn')}"
+                class="px-3 py-1 rounded-full text-sm bg-orange-50 dark:bg-gray-800 border border-orange-100 dark:border-gray-700 text-mudduRamanaManasu-orange">#${esc(name)}</a>
+        `).join('')}
+        ${own.map(name => `
+            <span class="inline-flex items-center rounded-full text-sm border border-gray-300 dark:border-gray-600">
+                <a href="${tagHash(name)}" class="pl-3 py-1 text-gray-700 dark:text-gray-200 hover:text-mudduRamanaManasu-orange">#${esc(name)}</a>
+                <button data-remove-tag="${esc(name)}" class="p-1 pr-2 text-gray-400 hover:text-red-600" aria-label="${t('tags.remove', { name: esc(name) })}">
+                    <i data-lucide="x" class="w-3.5 h-3.5"></i>
+                </button>
+            </span>
+        `).join('')}
+        <form id="new-tag-form" class="flex items-center gap-1">
+            <label class="sr-only" for="new-tag-input">${t('tags.add')}</label>
+            <input id="new-tag-input" type="text" list="tag-suggestions" placeholder="${t('tags.placeholder')}" maxlength="${Tags.MAX_LENGTH}" autocomplete="off"
+                class="w-36 px-3 py-1 rounded-full bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-sm text-gray-800 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-mudduRamanaManasu-orange">
+            <datalist id="tag-suggestions">
+                ${suggestions.map(name => `<option value="${esc(name)}"></option>`).join('')}
+            </datalist>
+            <button type="submit" class="p-1 text-mudduRamanaManasu-orange" aria-label="${t('tags.add')}">
+                <i data-lucide="plus" class="w-5 h-5"></i>
+            </button>
+        </form>
+    `;
 
-    // Handle Share Button
-    document.getElementById('detail-share-btn').onclick = () => {
-        const text = `Verse ${verse.id}: ${verse.lines.map(l => l.kannada_original).join(' / ')}`;
-        shareApp(text);
+    container.querySelectorAll('[data-remove-tag]').forEach(btn => {
+        btn.onclick = () => {
+            removeVerseTag(verse.id, btn.dataset.removeTag);
+            renderDetailTags(verse);
+        };
+    });
+    document.getElementById('new-tag-form').onsubmit = e => {
+        e.preventDefault();
+        if (!addVerseTag(verse.id, document.getElementById('new-tag-input').value)) return;
+        renderDetailTags(verse);
+        document.getElementById('new-tag-input').focus();
     };
-    
-    // Refresh icons
     if(window.lucide) lucide.createIcons();
 }
 
-/**
- * ACTIONS & UTILS
- */
-function toggleFavorite(id) {
-    const index = state.favorites.indexOf(id);
-    if (index === -1) {
-        state.favorites.push(id);
-    } else {
-        state.favorites.splice(index, 1);
+// #tags: every tag in use as a cloud, sized by how many verses carry it
+function renderTagIndex() {
+    const container = document.getElementById('app-container');
+    const tags = Tags.summarize(state.verses, state.tags);
+    const max = tags.length ? tags[0].count : 0;
+
+    container.innerHTML = `
+        <div class="animate-fade-in">
+            <div class="mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700">
+                <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">${t('title.tags')}</p>
+                <p class="text-sm text-gray-600 dark:text-gray-300 mt-1">${tags.length ? t('tags.intro', { count: tags.length }) : t('tags.empty')}</p>
+            </div>
+            <ul class="flex flex-wrap items-center gap-2">
+                ${tags.map(tag => `
+                    <li>
+                        <a href="${tagHash(tag.name)}" ${tag.builtIn ? `title="${t('tags.builtIn')}"` : ''} class="inline-flex items-baseline gap-1.5 px-3 py-1.5 rounded-full bg-white dark:bg-mudduRamanaManasu-darkCard border ${tag.builtIn ? 'border-orange-200 dark:border-gray-600' : 'border-gray-100 dark:border-gray-800'} shadow-sm hover:border-mudduRamanaManasu-orange ${TAG_CLOUD_SIZES[Tags.weight(tag.count, max)]}">
+                            <span class="text-gray-800 dark:text-gray-200">#${SearchCore.escapeHTML(tag.name)}</span>
+                            <span class="text-[11px] text-gray-400">${formatNumber(tag.count)}</span>
+                        </a>
+                    </li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// Header card for #tag/<name>
+function createTagHeader(name) {
+    const count = getListVerses({ type: 'tag', tag: name }).length;
+    const isOwn = Object.values(state.tags).some(names => names.includes(name));
+
+    const header = document.createElement('div');
+    header.className = 'mb-4 p-4 rounded-xl bg-orange-50 dark:bg-gray-800/50 border border-orange-100 dark:border-gray-700';
+    header.innerHTML = `
+        <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">
+            <a href="#tags" class="hover:underline">${t('title.tags')}</a>
+        </p>
+        <h2 class="text-xl font-bold text-gray-800 dark:text-gray-100 mt-1">#${SearchCore.escapeHTML(name)}</h2>
+        <div class="flex flex-wrap items-center gap-x-4 gap-y-1 mt-1">
+            <p class="text-xs text-gray-500 dark:text-gray-400">${t('common.verseCount', { count })}</p>
+            ${isOwn ? `
+                <button id="tag-delete-btn" class="ml-auto text-xs text-gray-500 dark:text-gray-400 hover:text-red-600 flex items-center gap-1">
+                    <i data-lucide="trash-2" class="w-4 h-4"></i> ${t('tags.deleteTag')}
+                </button>
+            ` : ''}
+        </div>
+    `;
+
+    const deleteBtn = header.querySelector('#tag-delete-btn');
+    if (deleteBtn) {
+        deleteBtn.onclick = () => {
+            if (!confirm(t('tags.deleteConfirm', { name }))) return;
+            deleteTag(name);
+            // Built-in tags keep their verses; otherwise the tag is gone
+            if (getListVerses({ type: 'tag', tag: name }).length) renderCurrentList();
+            else window.location.hash = '#tags';
+        };
     }
-    localStorage.setItem('mudduRamanaManasu_favs', JSON.stringify(state.favorites));
+    return header;
 }
 
 function setupEventListeners() {
@@ -471,20 +3043,92 @@ function setupEventListeners() {
     closeBtn.onclick = closeDrawer;
     overlay.onclick = closeDrawer;
 
+    // Drawer: Chapter index
+    document.getElementById('drawer-chapters-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#chapters';
+    };
+    document.getElementById('drawer-today-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#today';
+    };
+    document.getElementById('surprise-btn').onclick = surpriseMe;
+    document.getElementById('drawer-practice-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#practice';
+    };
+    // Word popover: closes on its button or a click anywhere else
+    document.getElementById('word-popover-close').onclick = () => closeWordPopover(true);
+    document.addEventListener('click', e => {
+        if (!e.target.closest('#word-popover')) closeWordPopover();
+    });
+    document.getElementById('drawer-export-btn').onclick = () => {
+        closeDrawer();
+        openExportModal();
+    };
+    document.getElementById('drawer-words-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#words';
+    };
+    document.getElementById('drawer-tags-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#tags';
+    };
+    document.getElementById('drawer-recent-btn').onclick = () => {
+        closeDrawer();
+        window.location.hash = '#recent';
+    };
+    document.getElementById('clear-history-btn').onclick = () => {
+        closeDrawer();
+        clearReadingHistory();
+    };
+    document.getElementById('reading-prefs-btn').onclick = () => {
+        closeDrawer();
+        openReadingModal();
+    };
+
+    // Daily reminder (Settings)
+    const reminderToggle = document.getElementById('reminder-toggle');
+    reminderToggle.checked = state.settings.reminder;
+    reminderToggle.addEventListener('change', () => setDailyReminder(reminderToggle.checked));
+
+    // Read-aloud player
+    document.getElementById('read-aloud-toggle').onclick = toggleReadAloudPause;
+    document.getElementById('read-aloud-stop').onclick = stopReadAloud;
+    document.getElementById('read-aloud-rate').onchange = e => setReadAloudPrefs({ rate: Number(e.target.value) });
+    document.getElementById('read-aloud-continuous').onchange = e => setReadAloudPrefs({ continuous: e.target.checked });
+
+    // Interface language and numerals (Settings)
+    document.getElementById('language-select').addEventListener('change', e => setLanguage(e.target.value));
+    const numeralsToggle = document.getElementById('numerals-toggle');
+    numeralsToggle.addEventListener('change', () => setNumerals(numeralsToggle.checked));
+
     // Search Inputs
     const handleSearch = (e) => {
-        state.searchQuery = e.target.value;
-        // Sync both search bars
-        document.getElementById('search-input').value = state.searchQuery;
-        document.getElementById('mobile-search-input').value = state.searchQuery;
+        const value = e.target.value;
+        // Sync both search bars (they hold what was typed; the query may be its Kannada conversion)
+        document.getElementById('search-input').value = value;
+        document.getElementById('mobile-search-input').value = value;
+        state.searchQuery = searchQueryFromInput(value, true);
+        updatePhoneticPreview(value);
+        // Keep the query in the hash (shareable), without adding a history entry per keystroke
+        if (LIST_ROUTES.includes(state.currentRoute)) {
+            history.replaceState({ ...(history.state || {}), listAnchor: null }, '', listHash(state.searchQuery));
+        }
         
-        state.currentPage = 1;
-        // Only re-render if on home or favorites
-        if(state.currentRoute !== 'detail') renderList(state.currentRoute === 'favorites');
+        // Ranked results come back from the search worker, then the list re-renders
+        runSearch();
     };
 
     document.getElementById('search-input').oninput = handleSearch;
     document.getElementById('mobile-search-input').oninput = handleSearch;
+    document.getElementById('search-input').onkeydown = handlePhoneticKeydown;
+    document.getElementById('mobile-search-input').onkeydown = handlePhoneticKeydown;
+
+    // Phonetic Kannada toggles (desktop + mobile)
+    document.querySelectorAll('.phonetic-toggle').forEach(btn => {
+        btn.onclick = () => setPhoneticInput(!state.phoneticInput);
+    });
 
     // Mobile Search Toggle
     const mobileSearchToggle = document.getElementById('mobile-search-toggle');
@@ -503,9 +3147,15 @@ function setupEventListeners() {
 
     // Back Button (Logic varies by history)
     document.getElementById('back-btn').onclick = () => {
-        // Use browser history for detail pages, custom hash change for favorites page
-        if (state.currentRoute === 'favorites') {
+        // Use browser history for detail pages, fixed parents for list pages
+        if (state.currentRoute === 'favorites' || state.currentRoute === 'recent' || state.currentRoute === 'chapters') {
              window.location.hash = ''; // Go to home
+        } else if (state.currentRoute === 'chapter') {
+             window.location.hash = '#chapters';
+        } else if (state.currentRoute === 'practice') {
+             window.location.hash = state.practiceSession ? '#practice' : '';
+        } else if (state.currentRoute === 'words') {
+             window.location.hash = state.currentWord ? '#words' : '';
         } else {
              window.history.back();
         }
@@ -515,152 +3165,663 @@ function setupEventListeners() {
     document.getElementById('theme-toggle').onclick = () => {
         setTheme(!state.isDarkMode);
     };
+
+    // Backup / restore (Settings)
+    document.getElementById('export-data-btn').addEventListener('click', exportUserData);
+    const importInput = document.getElementById('import-data-input');
+    document.getElementById('import-data-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = ''; // Choosing the same file again should still fire 'change'
+        if (file) {
+            closeDrawer();
+            importUserData(file);
+        }
+    });
+
+    setupKeyboardShortcuts(closeDrawer);
+    setupSwipeNavigation();
+    setupListAnchorTracking();
+    setupVirtualList();
+}
+
+/**
+ * KEYBOARD SHORTCUTS (desktop)
+ * ←/k previous, →/j next, f favorite, / search, Esc back
+ */
+function setupKeyboardShortcuts(closeDrawer) {
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const target = e.target;
+        const isTyping = target.matches && target.matches('input, textarea, select, [contenteditable="true"]');
+        if (isTyping) {
+            // Esc leaves the search box; every other key belongs to the field
+            if (e.key === 'Escape') target.blur();
+            return;
+        }
+
+        // Shortcuts stay off while a dialog is open; Esc closes it
+        if (openDialogs.length && e.key !== 'Escape') return;
+
+        const drawerOpen = !document.getElementById('drawer').classList.contains('-translate-x-full');
+        const isDetail = state.currentRoute === 'detail';
+        if (state.currentRoute === 'practice' && handlePracticeKey(e.key)) {
+            e.preventDefault();
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'k':
+                if (isDetail) stepVerse(-1);
+                break;
+            case 'ArrowRight':
+            case 'j':
+                if (isDetail) stepVerse(1);
+                break;
+            case 'f':
+                if (isDetail) document.getElementById('detail-fav-btn').click();
+                break;
+            case '/':
+                e.preventDefault();
+                focusSearch();
+                break;
+            case 'Escape':
+                // Dialogs handle their own Esc (see createDialog); this covers focus left outside them
+                if (closeTopDialog()) break;
+                if (!document.getElementById('word-popover').classList.contains('hidden')) closeWordPopover(true);
+                else if (drawerOpen) closeDrawer();
+                else if (!document.getElementById('back-btn').classList.contains('hidden')) document.getElementById('back-btn').click();
+                break;
+        }
+    });
+}
+
+// Focus whichever search box is visible (leaving the detail view first, where search is hidden)
+function focusSearch() {
+    if (['detail', 'chapters', 'practice', 'words'].includes(state.currentRoute)) {
+        window.addEventListener('hashchange', () => setTimeout(focusSearch, 0), { once: true });
+        document.getElementById('back-btn').click();
+        return;
+    }
+    const desktopInput = document.getElementById('search-input');
+    if (desktopInput.offsetParent !== null) {
+        desktopInput.focus();
+        return;
+    }
+    document.getElementById('mobile-search-bar').classList.remove('hidden');
+    document.getElementById('mobile-search-input').focus();
+}
+
+/**
+ * SWIPE NAVIGATION (mobile): swipe left for the next verse, right for the previous
+ */
+function setupSwipeNavigation() {
+    const container = document.getElementById('app-container');
+    let start = null;
+
+    container.addEventListener('touchstart', (e) => {
+        if (state.currentRoute !== 'detail' || e.touches.length !== 1) return;
+        start = { x: e.touches[0].clientX, y: e.touches[0].clientY, time: Date.now() };
+    }, { passive: true });
+
+    container.addEventListener('touchend', (e) => {
+        if (!start) return;
+        const dx = e.changedTouches[0].clientX - start.x;
+        const dy = e.changedTouches[0].clientY - start.y;
+        const isSwipe = Math.abs(dx) > 60 && Math.abs(dx) > 1.5 * Math.abs(dy) && Date.now() - start.time < 600;
+        start = null;
+        if (isSwipe) stepVerse(dx < 0 ? 1 : -1);
+    }, { passive: true });
 }
 
 // Global Share function (Web Share API)
 window.shareApp = (text) => {
     const shareData = {
         title: 'ಮುದ್ದುರಾಮನ ಮನಸು',
-        text: text || 'Read the wisdom of K. C. Shivappa in this ಮುದ್ದುರಾಮನ ಮನಸು App!',
-        url: window.location.href
+        text: text || t('app.shareText'),
+        // On a verse, its own page, so the link preview shows the verse
+        url: state.currentRoute === 'detail' && state.currentVerseId ? verseUrl(state.currentVerseId) : window.location.href
     };
     if (navigator.share) {
-        navigator.share(shareData);
+        navigator.share(shareData).catch(() => { /* Dismissed by the user */ });
     } else {
         // Fallback for browsers without Web Share API
-        console.log(`Share: "${shareData.text}" at ${shareData.url}`);
+        copyText(`${shareData.text}\n${shareData.url}`);
     }
 
 };
 
+// Copy to the clipboard and say so (or say that it failed)
+async function copyText(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        showToast(t('clipboard.copied'));
+    } catch (error) {
+        showToast(t('clipboard.failed'));
+    }
+}
+
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.classList.remove('hidden');
+    clearTimeout(showToast.timer);
+    showToast.timer = setTimeout(() => toast.classList.add('hidden'), 2500);
+}
+
 /**
- * MODAL & CONTACT LOGIC
+ * SHARE AS IMAGE (drawn by lib/share-card.js)
  */
+let shareVerse = null; // Verse shown in the share dialog
+
+function openShareModal(verse) {
+    shareVerse = verse;
+    const options = state.settings.share;
+
+    const optionButtons = (list, selected, attr) => list.map(item => `
+        <button data-${attr}="${item.id}" aria-pressed="${item.id === selected}"
+            class="px-3 py-1 rounded-full border ${item.id === selected
+                ? 'bg-mudduRamanaManasu-orange border-mudduRamanaManasu-orange text-white'
+                : 'border-gray-300 dark:border-gray-600'}">${t(`share.${attr.slice('share-'.length)}.${item.id}`)}</button>
+    `).join('');
+    const renderOptions = () => {
+        document.getElementById('share-theme-options').innerHTML = optionButtons(ShareCard.THEMES, state.settings.share.theme, 'share-theme');
+        document.getElementById('share-size-options').innerHTML = optionButtons(ShareCard.SIZES, state.settings.share.size, 'share-size');
+    };
+    const update = changes => {
+        state.settings.share = { ...state.settings.share, ...changes };
+        saveUserData();
+        renderOptions();
+        renderSharePreview();
+    };
 
-function openAboutModal() {
-    // Close drawer first if open
-    const drawer = document.getElementById('drawer');
-    const overlay = document.getElementById('drawer-overlay');
-    
-    // Logic to close drawer visually
-    drawer.classList.add('-translate-x-full');
-    overlay.classList.add('opacity-0');
-    setTimeout(() => overlay.classList.add('hidden'), 300);
+    renderOptions();
+    document.getElementById('share-theme-options').onclick = e => {
+        const btn = e.target.closest('[data-share-theme]');
+        if (btn) update({ theme: btn.dataset.shareTheme });
+    };
+    document.getElementById('share-size-options').onclick = e => {
+        const btn = e.target.closest('[data-share-size]');
+        if (btn) update({ size: btn.dataset.shareSize });
+    };
+    const translationToggle = document.getElementById('share-translation-toggle');
+    translationToggle.checked = options.translation;
+    translationToggle.onchange = () => update({ translation: translationToggle.checked });
+
+    // Without file sharing (most desktops) the image is downloaded instead
+    const imageBtn = document.getElementById('share-image-btn');
+    imageBtn.textContent = t(canShareFiles() ? 'share.image' : 'share.download');
+    imageBtn.onclick = shareVerseImage;
+    document.getElementById('share-copy-btn').onclick = () => copyText(verseShareText(verse));
+    document.getElementById('share-close-btn').onclick = closeShareModal;
+
+    getDialog('share-modal').open();
+    renderSharePreview();
+    if(window.lucide) lucide.createIcons();
+}
 
-    // Open Modal
-    const modal = document.getElementById('about-modal');
-    const backdrop = document.getElementById('about-backdrop');
-    const panel = document.getElementById('about-panel');
+function closeShareModal() {
+    getDialog('share-modal').close();
+}
 
-    modal.classList.remove('hidden');
-    
-    // Small delay to allow display:block to apply before animating opacity
-    setTimeout(() => {
-        backdrop.classList.remove('opacity-0');
-        panel.classList.remove('opacity-0', 'scale-95');
-        panel.classList.add('opacity-100', 'scale-100');
-    }, 10);
+async function renderSharePreview() {
+    const verse = shareVerse;
+    // Draw once the Kannada font is ready, or the canvas falls back to a system font
+    if (document.fonts) {
+        await Promise.allSettled([
+            document.fonts.load('500 40px "Noto Sans Kannada"'),
+            document.fonts.load('700 40px "Noto Sans Kannada"')
+        ]);
+    }
+    if (verse !== shareVerse) return; // Closed (or reopened on another verse) meanwhile
+    ShareCard.render(document.getElementById('share-canvas'), verse, {
+        ...state.settings.share,
+        chapterName: VerseData.formatChapterName(verse.chapter),
+        verseLabel: t('common.verse', { id: verse.id })
+    });
 }
 
-function closeAboutModal() {
-    const modal = document.getElementById('about-modal');
-    const backdrop = document.getElementById('about-backdrop');
-    const panel = document.getElementById('about-panel');
+function canShareFiles() {
+    try {
+        return Boolean(navigator.canShare && navigator.canShare({ files: [new File([''], 'verse.png', { type: 'image/png' })] }));
+    } catch (error) {
+        return false;
+    }
+}
 
-    // Animate out
-    backdrop.classList.add('opacity-0');
-    panel.classList.remove('opacity-100', 'scale-100');
-    panel.classList.add('opacity-0', 'scale-95');
+async function shareVerseImage() {
+    const verse = shareVerse;
+    const blob = await ShareCard.toBlob(document.getElementById('share-canvas'));
+    const filename = `mudduRamanaManasu-verse-${verse.id}.png`;
+
+    if (canShareFiles()) {
+        try {
+            await navigator.share({
+                files: [new File([blob], filename, { type: 'image/png' })],
+                title: 'ಮುದ್ದುರಾಮನ ಮನಸು',
+                text: t('common.verse', { id: verse.id })
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') downloadBlob(blob, filename);
+        }
+    } else {
+        downloadBlob(blob, filename);
+    }
+}
 
-    // Hide after animation finishes
-    setTimeout(() => {
-        modal.classList.add('hidden');
-    }, 300);
+// Address to share for a verse: its pre-rendered page (scripts/build-pages.js) carries the title,
+// description and preview image, and opens the verse in the app (see adoptStaticVerseUrl)
+function verseUrl(id) {
+    return new URL(`verse/${id}/`, location.href).href;
 }
 
-function openContact() {
-    const email = "mudduramanatest@gmail.com"; // Placeholder ID
-    const subject = "Feedback for ಮುದ್ದುರಾಮನ ಮನಸು App";
-    const body = "Namaskara, I would like to share the following feedback...";
-    
-    // Determine if mobile to attempt direct app launch, otherwise generic mailto
-    const mailtoLink = `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-    
-    window.location.href = mailtoLink;
+function verseShareText(verse) {
+    return `${verse.lines.map(l => l.kannada_original).join('\n')}\n\n— ಮುದ್ದುರಾಮನ ಮನಸು, ${t('common.verse', { id: verse.id })}\n${verseUrl(verse.id)}`;
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
-// Close modal if clicking outside the panel (on backdrop)
-document.addEventListener('click', (e) => {
-    const modal = document.getElementById('about-modal');
-    const backdrop = document.getElementById('about-backdrop');
-    if (!modal.classList.contains('hidden') && e.target === backdrop) {
-        closeAboutModal();
+/**
+ * HANDOUTS (print, Markdown and EPUB export of favorites, a collection, a chapter or a verse range)
+ */
+const EXPORT_FIELDS = [
+    { field: 'kannada_original', label: 'section.original' },
+    { field: 'english_transliteration', label: 'section.transliteration' },
+    { field: 'english_translation', label: 'section.translation' }
+];
+
+// Preselect what the reader is looking at: the open chapter, favorites (or their collection), else the whole book
+function openExportModal() {
+    const source = document.getElementById('export-source');
+    const chapters = getChapters();
+    source.innerHTML = `
+        <option value="favorites">${t('favorites.all', { count: state.favorites.length })}</option>
+        ${state.collections.length ? `<optgroup label="${t('detail.collections')}">
+            ${state.collections.map(name => `<option value="collection:${SearchCore.escapeHTML(name)}">${SearchCore.escapeHTML(name)}</option>`).join('')}
+        </optgroup>` : ''}
+        <optgroup label="${t('title.chapters')}">
+            ${chapters.map((c, i) => `<option value="chapter:${SearchCore.escapeHTML(c.name)}">${formatNumber(i + 1)}. ${VerseData.formatChapterName(c.name)}</option>`).join('')}
+        </optgroup>
+        <option value="range">${t('export.range')}</option>
+    `;
+    if (state.currentRoute === 'chapter') source.value = `chapter:${state.currentChapter}`;
+    else if (state.currentRoute === 'favorites' && state.favoritesView.collection) source.value = `collection:${state.favoritesView.collection}`;
+    else if (state.currentRoute === 'favorites') source.value = 'favorites';
+    else source.value = 'range';
+    if (!source.value) source.value = 'range';
+
+    const ids = state.verses.map(v => v.id);
+    const from = document.getElementById('export-from');
+    const to = document.getElementById('export-to');
+    from.value = from.value || state.currentVerseId || ids[0] || 1;
+    to.value = to.value || Math.min(Number(from.value) + 9, ids[ids.length - 1] || 1);
+
+    document.getElementById('export-close-btn').onclick = closeExportModal;
+    source.onchange = updateExportSummary;
+    from.oninput = updateExportSummary;
+    to.oninput = updateExportSummary;
+    document.querySelectorAll('[data-export-field]').forEach(box => { box.onchange = updateExportSummary; });
+    document.getElementById('export-print-btn').onclick = () => runExport('print');
+    document.getElementById('export-markdown-btn').onclick = () => runExport('markdown');
+    document.getElementById('export-epub-btn').onclick = () => runExport('epub');
+    updateExportSummary();
+    getDialog('export-modal').open();
+}
+
+function closeExportModal() {
+    getDialog('export-modal').close();
+}
+
+// The chosen verses (placeholders left out, in book order) with a title and a file name
+function exportSelection() {
+    const value = document.getElementById('export-source').value;
+    const usable = state.verses.filter(v => !VerseData.isPlaceholder(v));
+    if (value === 'favorites') {
+        const ids = new Set(state.favorites.map(f => f.id));
+        return { title: t('title.favorites'), file: 'favorites', verses: usable.filter(v => ids.has(v.id)) };
     }
-});
+    if (value.startsWith('collection:')) {
+        const name = value.slice('collection:'.length);
+        const ids = new Set(state.favorites.filter(f => f.collections.includes(name)).map(f => f.id));
+        return { title: name, file: 'collection', verses: usable.filter(v => ids.has(v.id)) };
+    }
+    if (value.startsWith('chapter:')) {
+        const name = value.slice('chapter:'.length);
+        const number = getChapters().findIndex(c => c.name === name) + 1;
+        return { title: VerseData.formatChapterName(name), file: `chapter-${number}`, verses: usable.filter(v => v.chapter === name) };
+    }
+    const a = parseInt(document.getElementById('export-from').value);
+    const b = parseInt(document.getElementById('export-to').value);
+    const [from, to] = [Math.min(a, b), Math.max(a, b)];
+    const verses = Number.isFinite(from) && Number.isFinite(to) ? usable.filter(v => v.id >= from && v.id <= to) : [];
+    return { title: t('export.rangeTitle', { from, to }), file: `verses-${from}-${to}`, verses };
+}
+
+function exportFields() {
+    return EXPORT_FIELDS.filter(f => document.querySelector(`[data-export-field="${f.field}"]`).checked);
+}
+
+function updateExportSummary() {
+    const isRange = document.getElementById('export-source').value === 'range';
+    document.getElementById('export-range').classList.toggle('hidden', !isRange);
+    const { verses } = exportSelection();
+    const ready = verses.length > 0 && exportFields().length > 0;
+    document.getElementById('export-summary').textContent = exportFields().length === 0
+        ? t('export.chooseField')
+        : state.isStreaming
+            ? t('export.stillLoading', { verses: t('common.verseCount', { count: verses.length }) })
+            : t('common.verseCount', { count: verses.length });
+    document.querySelectorAll('#export-actions button').forEach(btn => { btn.disabled = !ready; });
+}
+
+// Document for lib/verse-export.js: chapter names and the chosen fields, transliteration in the reader's scheme
+function buildExportDocument() {
+    const selection = exportSelection();
+    const fields = exportFields();
+    return {
+        file: selection.file,
+        title: selection.title,
+        subtitle: `ಮುದ್ದುರಾಮನ ಮನಸು · ${t('common.verseCount', { count: selection.verses.length })}`,
+        verses: selection.verses.map(verse => ({
+            id: verse.id,
+            chapter: VerseData.formatChapterName(verse.chapter),
+            sections: fields.map(({ field, label }) => ({
+                label: t(label),
+                lang: field === 'english_translation' ? 'en' : field === 'kannada_original' || isScriptScheme(state.translitScheme) ? 'kn' : 'kn-Latn',
+                lines: verse.lines
+                    .map(l => (field === 'english_transliteration' ? transliterationLine(l) : l[field]))
+                    .filter(Boolean)
+            })).filter(section => section.lines.length > 0)
+        }))
+    };
+}
+
+function runExport(format) {
+    const doc = buildExportDocument();
+    const name = `mudduRamanaManasu-${doc.file}`;
+    if (format === 'markdown') {
+        downloadBlob(new Blob([VerseExport.toMarkdown(doc)], { type: 'text/markdown' }), `${name}.md`);
+    } else if (format === 'epub') {
+        downloadBlob(new Blob([VerseExport.toEpub(doc, { creator: 'Muddu Rama' })], { type: 'application/epub+zip' }), `${name}.epub`);
+    } else {
+        printVerses(doc);
+        return;
+    }
+    closeExportModal();
+    showToast(t('export.downloaded'));
+}
+
+// Fill the print-only page (see @media print in styles.css) and open the print dialog
+function printVerses(doc) {
+    const root = document.getElementById('print-root');
+    let chapter = null;
+    root.innerHTML = `
+        <h1 class="print-title">${SearchCore.escapeHTML(doc.title)}</h1>
+        <p class="print-subtitle">${SearchCore.escapeHTML(doc.subtitle)}</p>
+        ${doc.verses.map(verse => {
+            const heading = verse.chapter !== chapter ? `<h2 class="print-chapter">${SearchCore.escapeHTML(verse.chapter)}</h2>` : '';
+            chapter = verse.chapter;
+            return `${heading}
+                <section class="print-verse">
+                    <h3>${verse.id}</h3>
+                    ${verse.sections.map(section => `
+                        <p class="${section.lang === 'kn' ? 'print-original' : 'print-secondary'}" lang="${section.lang}">${section.lines.map(SearchCore.escapeHTML).join('<br>')}</p>
+                    `).join('')}
+                </section>`;
+        }).join('')}
+    `;
+    closeExportModal();
+    document.body.classList.add('printing');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing');
+        root.innerHTML = '';
+    }, { once: true });
+    window.print();
+}
 
 /**
- * CONTACT MODAL LOGIC (New)
+ * DIALOGS
+ * One behaviour for every modal: ARIA attributes, focus moved in, kept inside
+ * (Tab wraps) and given back on close, Esc and clicks outside the panel close
+ * it, and each open dialog has its own history entry so Back closes it too.
  */
+const DIALOGS = {
+    'about-modal': { panel: 'about-panel', backdrop: 'about-backdrop' },
+    'contact-modal': { panel: 'contact-panel', backdrop: 'contact-backdrop', initialFocus: '#contact-name' },
+    'data-modal': { panel: 'data-panel', initialFocus: '#data-modal-actions button:last-child' },
+    'share-modal': { panel: 'share-panel', onClose: () => { shareVerse = null; } },
+    'reading-modal': { panel: 'reading-panel' },
+    'export-modal': { panel: 'export-panel', initialFocus: '#export-source' }
+};
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
-function openContactModal() {
-    // Close drawer first if open
+const dialogRegistry = new Map();
+const openDialogs = []; // Topmost last
+
+function getDialog(id) {
+    if (!dialogRegistry.has(id)) dialogRegistry.set(id, createDialog(id, DIALOGS[id] || {}));
+    return dialogRegistry.get(id);
+}
+
+function createDialog(id, options) {
+    const modal = document.getElementById(id);
+    const panel = document.getElementById(options.panel) || modal;
+    // Parts that fade/scale in (they start with 'opacity-0' in index.html)
+    const animated = [options.backdrop, options.panel]
+        .map(partId => document.getElementById(partId))
+        .filter(el => el && el.classList.contains('opacity-0'));
+    let hideTimer = null;
+
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+
+    const dialog = {
+        id,
+        modal,
+        isOpen: () => openDialogs.includes(dialog),
+        focusables: () => Array.from(modal.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('.hidden')),
+
+        // openOptions.returnFocus: where focus goes on close (default: whatever had it)
+        open(openOptions = {}) {
+            if (dialog.isOpen()) return;
+            dialog.returnFocus = openOptions.returnFocus || document.activeElement;
+            openDialogs.push(dialog);
+            clearTimeout(hideTimer);
+            modal.classList.remove('hidden');
+            history.pushState({ ...(history.state || {}), dialog: id }, '');
+            // Let display:block apply before animating
+            setTimeout(() => animated.forEach(el => {
+                el.classList.remove('opacity-0', 'scale-95');
+                el.classList.add('opacity-100', 'scale-100');
+            }), 10);
+            const target = (options.initialFocus && modal.querySelector(options.initialFocus)) || dialog.focusables()[0] || panel;
+            target.focus();
+        },
+
+        // fromHistory: closed by Back, so don't step back again
+        close(fromHistory) {
+            const index = openDialogs.indexOf(dialog);
+            if (index === -1) return;
+            openDialogs.splice(index, 1);
+            animated.forEach(el => {
+                el.classList.remove('opacity-100', 'scale-100');
+                el.classList.add('opacity-0', 'scale-95');
+            });
+            if (animated.length) hideTimer = setTimeout(() => modal.classList.add('hidden'), 300);
+            else modal.classList.add('hidden');
+            if (options.onClose) options.onClose();
+
+            const returnFocus = dialog.returnFocus;
+            if (returnFocus && document.contains(returnFocus) && !returnFocus.closest('.hidden, .-translate-x-full')) returnFocus.focus();
+            if (!fromHistory && history.state && history.state.dialog === id) history.back();
+        }
+    };
+
+    modal.addEventListener('keydown', e => {
+        if (openDialogs[openDialogs.length - 1] !== dialog) return;
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            dialog.close();
+        } else if (e.key === 'Tab') {
+            const items = dialog.focusables();
+            if (items.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = items[0];
+            const last = items[items.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+    // composedPath: the click target may have been re-rendered (removed) by an inner handler
+    modal.addEventListener('click', e => {
+        if (dialog.isOpen() && !e.composedPath().includes(panel)) dialog.close();
+    });
+    return dialog;
+}
+
+function closeTopDialog() {
+    const top = openDialogs[openDialogs.length - 1];
+    if (top) top.close();
+    return Boolean(top);
+}
+
+// Back (or a navigation) closes every dialog opened after the history entry we land on
+window.addEventListener('popstate', e => {
+    const target = e.state && e.state.dialog;
+    while (openDialogs.length && openDialogs[openDialogs.length - 1].id !== target) {
+        openDialogs[openDialogs.length - 1].close(true);
+    }
+});
+
+// Focus that escapes the top dialog (e.g. a click on the page behind) is brought back
+document.addEventListener('focusin', e => {
+    const top = openDialogs[openDialogs.length - 1];
+    if (top && !top.modal.contains(e.target)) (top.focusables()[0] || top.modal).focus();
+});
+
+// Drawer items close the drawer before opening their dialog; focus then returns to the menu button
+function closeDrawerForDialog() {
     const drawer = document.getElementById('drawer');
     const overlay = document.getElementById('drawer-overlay');
-    
-    // Logic to close drawer visually
+    if (drawer.classList.contains('-translate-x-full')) return null;
     drawer.classList.add('-translate-x-full');
     overlay.classList.add('opacity-0');
     setTimeout(() => overlay.classList.add('hidden'), 300);
+    return document.getElementById('menu-btn');
+}
 
-    // Open Modal
-    const modal = document.getElementById('contact-modal');
-    const backdrop = document.getElementById('contact-backdrop');
-    const panel = document.getElementById('contact-panel');
+/**
+ * ABOUT & CONTACT
+ */
+function openAboutModal() {
+    const returnFocus = closeDrawerForDialog();
+    getDialog('about-modal').open({ returnFocus });
+}
 
-    modal.classList.remove('hidden');
-    
-    // Small delay to allow display:block to apply before animating opacity
-    setTimeout(() => {
-        backdrop.classList.remove('opacity-0');
-        panel.classList.remove('opacity-0', 'scale-95');
-        panel.classList.add('opacity-100', 'scale-100');
-    }, 10);
+function closeAboutModal() {
+    getDialog('about-modal').close();
 }
 
-function closeContactModal() {
-    const modal = document.getElementById('contact-modal');
-    const backdrop = document.getElementById('contact-backdrop');
-    const panel = document.getElementById('contact-panel');
+const CONTACT_EMAIL = 'mudduramanatest@gmail.com'; // Placeholder ID
+
+// Where feedback is sent: a URL accepting a JSON POST, set in index.html (<meta name="contact-endpoint">).
+// Without one (or when it fails) the message opens in the reader's mail app instead.
+function contactEndpoint() {
+    const meta = document.querySelector('meta[name="contact-endpoint"]');
+    return meta ? meta.content.trim() : '';
+}
 
-    // Animate out
-    backdrop.classList.add('opacity-0');
-    panel.classList.remove('opacity-100', 'scale-100');
-    panel.classList.add('opacity-0', 'scale-95');
+function openContactModal() {
+    const returnFocus = closeDrawerForDialog();
+    const form = document.getElementById('contact-form');
+    const verseOption = document.getElementById('contact-verse-option');
+    const verseId = state.currentRoute === 'detail' ? state.currentVerseId : null;
+
+    // "About verse N" is offered (and ticked) when writing from a verse page
+    verseOption.classList.toggle('hidden', !verseId);
+    document.getElementById('contact-verse').checked = Boolean(verseId);
+    document.getElementById('contact-verse-label').textContent = verseId ? t('contact.aboutVerse', { id: verseId }) : '';
+    form.dataset.verse = verseId || '';
+    document.getElementById('contact-status').textContent = '';
+    form.onsubmit = e => {
+        e.preventDefault();
+        submitContactForm(form);
+    };
+    document.getElementById('contact-cancel-btn').onclick = closeContactModal;
 
-    // Hide after animation finishes
-    setTimeout(() => {
-        modal.classList.add('hidden');
-    }, 300);
+    getDialog('contact-modal').open({ returnFocus });
 }
 
-// Update the global event listener to handle closing the contact modal on backdrop click
-document.addEventListener('click', (e) => {
-    const aboutModal = document.getElementById('about-modal');
-    const contactModal = document.getElementById('contact-modal');
-    
-    // Handle About Modal closing
-    if (aboutModal && !aboutModal.classList.contains('hidden') && e.target.id === 'about-backdrop') {
-        closeAboutModal();
-    }
-    
-    // Handle Contact Modal closing
-    if (contactModal && !contactModal.classList.contains('hidden') && e.target.id === 'contact-backdrop') {
-        closeContactModal();
+function closeContactModal() {
+    getDialog('contact-modal').close();
+}
+
+async function submitContactForm(form) {
+    const status = document.getElementById('contact-status');
+    const submitBtn = document.getElementById('contact-submit-btn');
+    const message = {
+        name: document.getElementById('contact-name').value.trim(),
+        email: document.getElementById('contact-email').value.trim(),
+        message: document.getElementById('contact-message').value.trim(),
+        verse: document.getElementById('contact-verse').checked && form.dataset.verse ? Number(form.dataset.verse) : null
+    };
+    if (!message.message) {
+        status.textContent = t('contact.required');
+        document.getElementById('contact-message').focus();
+        return;
     }
-});
 
-// Since the new function openContactModal replaces openContact, you can remove or rename the old openContact function.
-// For safety, you might want to rename your old openContact to something else or just remove it if it's no longer used. 
-// If you remove it, make sure the old function name is not referenced elsewhere.
+    const endpoint = contactEndpoint();
+    if (endpoint) {
+        submitBtn.disabled = true;
+        status.textContent = t('contact.sending');
+        try {
+            const res = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({ ...message, app: 'mudduRamanaManasu', page: location.hash || '#' })
+            });
+            if (!res.ok) throw new Error(`Status ${res.status}`);
+            form.reset();
+            closeContactModal();
+            showToast(t('contact.sent'));
+            return;
+        } catch (error) {
+            console.warn('Contact endpoint failed, falling back to e-mail', error);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
 
+    openContact(message);
+    status.textContent = t('contact.mailFallback', { email: CONTACT_EMAIL });
+}
 
+// Fallback: open the message in the reader's mail app
+function openContact(message = {}) {
+    const subject = `Feedback for ಮುದ್ದುರಾಮನ ಮನಸು App${message.verse ? ` (verse ${message.verse})` : ''}`;
+    const body = [
+        message.message || 'Namaskara, I would like to share the following feedback...',
+        message.verse ? `\nAbout verse ${message.verse}: ${new URL(`#verse/${message.verse}`, location.href).href}` : '',
+        message.name ? `\n— ${message.name}` : ''
+    ].join('');
+    window.location.href = `mailto:${CONTACT_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
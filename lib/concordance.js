@@ -0,0 +1,82 @@
+/**
+ * CONCORDANCE
+ * Every distinct Kannada word of the corpus with where it occurs, for the
+ * #words explorer and the word popover on the detail page. Words are
+ * compared in folded form (see SearchCore.fold), so spelling variants in
+ * Unicode normalization or zero-width joiners count as one word.
+ */
+(function (root) {
+    const SearchCore = root.SearchCore || require('./search-core');
+
+    const TOKEN_RE = /[\p{L}\p{M}\p{N}]+/gu;
+    const KANNADA_RE = /[\u0C80-\u0CFF]/;
+
+    // Folded form of a word, or null for anything that isn't a Kannada word (numbers, Latin)
+    function wordKey(token) {
+        const key = SearchCore.fold(token);
+        return KANNADA_RE.test(key) ? key : null;
+    }
+
+    /**
+     * Split a line into segments [{ text, word }], where 'word' is the word key
+     * for Kannada words and null for spaces, punctuation and everything else.
+     */
+    function splitWords(text) {
+        const source = String(text || '').normalize('NFC');
+        const segments = [];
+        let last = 0;
+        source.replace(TOKEN_RE, (token, offset) => {
+            if (offset > last) segments.push({ text: source.slice(last, offset), word: null });
+            segments.push({ text: token, word: wordKey(token) });
+            last = offset + token.length;
+            return token;
+        });
+        if (last < source.length) segments.push({ text: source.slice(last), word: null });
+        return segments;
+    }
+
+    /**
+     * Build the concordance of grouped verses ({ id, chapter, lines }):
+     *   words       : [{ word, count, verses }] (occurrences and distinct verses), most frequent first
+     *   occurrences : Map word -> [{ id, chapter, line (line_number), text }], in verse order
+     * A word repeated within one line is listed once for that line.
+     */
+    function buildConcordance(verses) {
+        const occurrences = new Map();
+        const counts = new Map();
+        verses.forEach(verse => {
+            verse.lines.forEach(line => {
+                const seen = new Set();
+                splitWords(line.kannada_original).forEach(({ word }) => {
+                    if (!word) return;
+                    counts.set(word, (counts.get(word) || 0) + 1);
+                    if (seen.has(word)) return;
+                    seen.add(word);
+                    if (!occurrences.has(word)) occurrences.set(word, []);
+                    occurrences.get(word).push({ id: verse.id, chapter: verse.chapter, line: line.line_number, text: line.kannada_original });
+                });
+            });
+        });
+
+        const words = Array.from(counts, ([word, count]) => ({
+            word,
+            count,
+            verses: new Set(occurrences.get(word).map(o => o.id)).size
+        }));
+        words.sort((a, b) => b.count - a.count || compareWords(a.word, b.word));
+        return { words, occurrences };
+    }
+
+    // Kannada dictionary order
+    function compareWords(a, b) {
+        return a.localeCompare(b, 'kn');
+    }
+
+    const Concordance = { wordKey, splitWords, buildConcordance, compareWords };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Concordance;
+    } else {
+        root.Concordance = Concordance;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,629 @@
+/**
+ * I18N
+ * Interface strings in Kannada and English. Messages are looked up by key
+ * ('title.favorites'), with {name} placeholders filled from params. A message
+ * can be an object of plural forms ({ one, other }), chosen by params.count
+ * with the language's plural rules. Numbers in params are written in Kannada
+ * digits (೧೨೩) when that option is on. Missing Kannada messages fall back to
+ * English, so a new string never shows up blank.
+ */
+(function (root) {
+    const LANGUAGES = [
+        { id: 'kn', label: 'ಕನ್ನಡ' },
+        { id: 'en', label: 'English' }
+    ];
+    const DEFAULT_LANGUAGE = 'en';
+    const NUMERALS = ['latin', 'kannada'];
+    const KANNADA_DIGITS = '೦೧೨೩೪೫೬೭೮೯';
+
+    const CATALOGS = {
+        en: {
+            'app.tagline': 'Simple Verses, Profound Truths.',
+            'app.shareText': 'Read the wisdom of K. C. Shivappa in this ಮುದ್ದುರಾಮನ ಮನಸು App!',
+
+            'common.close': 'Close',
+            'common.cancel': 'Cancel',
+            'common.done': 'Done',
+            'common.dismiss': 'Dismiss',
+            'common.retry': 'Retry',
+            'common.retrying': 'Retrying...',
+            'common.previous': 'Previous',
+            'common.next': 'Next',
+            'common.position': '{index} of {total}',
+            'common.verse': 'Verse {id}',
+            'common.lineByLine': 'Line by line',
+            'common.verseCount': { one: '{count} verse', other: '{count} verses' },
+            'common.inVerses': { one: 'in {count} verse', other: 'in {count} verses' },
+            'common.dayCount': { one: '{count} day', other: '{count} days' },
+            'common.favoriteCount': { one: '{count} favorite', other: '{count} favorites' },
+            'common.collectionCount': { one: '{count} collection', other: '{count} collections' },
+            'common.noteCount': { one: '{count} note', other: '{count} notes' },
+            'common.occurrenceCount': { one: '{count} occurrence', other: '{count} occurrences' },
+
+            'title.today': 'Verse of the Day',
+            'title.favorites': 'Favorites',
+            'title.recent': 'Recently viewed',
+            'title.practice': 'Practice',
+            'title.words': 'Word index',
+            'title.chapters': 'Chapters',
+            'title.tags': 'Tags',
+
+            'drawer.details': 'Details',
+            'drawer.handouts': 'Handouts (Print, EPUB, Markdown)',
+            'drawer.about': 'About',
+            'drawer.contact': 'Contact',
+            'drawer.share': 'Share',
+            'drawer.settings': 'Settings',
+            'drawer.footer': 'Designed for Kannada',
+
+            'settings.darkMode': 'Dark Mode',
+            'settings.lightMode': 'Light Mode',
+            'settings.language': 'Language',
+            'settings.numerals': 'Kannada numerals (೧೨೩)',
+            'settings.transliteration': 'Transliteration',
+            'settings.reading': 'Reading',
+            'settings.reminder': 'Daily reminder',
+            'settings.clearHistory': 'Clear reading history',
+            'settings.exportData': 'Export my data',
+            'settings.import': 'Import',
+
+            'search.placeholder': 'Search...',
+            'search.placeholderMobile': 'Search Kannada, English, Number...',
+            'search.placeholderPhonetic': 'nAnu → ನಾನು',
+            'search.placeholderPhoneticMobile': 'Type phonetically: nAnu → ನಾನು',
+            'search.syntax': 'Words, "exact phrase", chapter:3, verse:10-20',
+            'search.phonetic': 'Phonetic Kannada typing',
+            'search.phoneticHint': 'Phonetic Kannada typing (nAnu → ನಾನು)',
+            'search.commitKeys': 'Space / Enter ↵',
+            'search.surprise': 'Surprise me',
+            'search.surpriseHint': 'Surprise me: a random verse from this list',
+            'search.surpriseEmpty': 'No other verses in this list',
+
+            'list.loading': 'Loading verses...',
+            'list.empty': 'No verses found.',
+            'list.results': { one: '{count} result', other: '{count} results' },
+            'list.end': '— End of Verses —',
+            'list.allVerses': 'All verses',
+            'list.search': 'Search “{query}”',
+
+            'load.failedVerses': { one: 'Couldn\'t load {count} verse: {ids}', other: 'Couldn\'t load {count} verses: {ids}' },
+            'load.errorTitle': 'Data Load Error',
+            'load.offline': 'You appear to be offline, and the verses haven\'t been saved on this device yet.',
+            'load.offlineHint': 'Open the app once while connected; after that it works without a connection.',
+            'load.notBuilt': 'The verse data hasn\'t been built yet (data/manifest.json is missing).',
+            'load.notBuiltHint': 'Run <code>node scripts/build-data.js</code> once, then reload.',
+            'load.noServer': 'Could not load verse data. This is often caused by trying to load local JSON files (using <code>fetch</code>) without a web server.',
+            'load.noServerHint': 'Please open <code>index.html</code> using a local server (like "Live Server").',
+
+            'update.available': 'Update available',
+            'update.reload': 'Reload',
+
+            'chapters.empty': 'No chapters found.',
+            'chapter.notFound': 'Chapter not found.',
+            'chapter.seeAll': 'See all chapters',
+            'chapter.practise': 'Practise by heart',
+
+            'progress.read': '{read} of {total} read',
+            'progress.readHint': '{read} of {total} verses read',
+            'progress.label': 'Verses read',
+            'history.clearConfirm': 'Clear your reading history, progress and streak on this device?',
+            'history.cleared': 'Reading history cleared',
+            'continue.title': 'Continue where you left off · {id}',
+            'continue.streak': 'Days in a row with reading',
+
+            'detail.loading': 'Loading verse {id}...',
+            'detail.loadFailed': 'Couldn\'t load verse {id}',
+            'detail.notFound': 'Verse not found',
+            'detail.breadcrumb': 'Breadcrumb',
+            'detail.previousVerse': 'Previous verse',
+            'detail.previousHint': 'Previous (← / k)',
+            'detail.nextVerse': 'Next verse',
+            'detail.nextHint': 'Next (→ / j)',
+            'detail.readingPrefs': 'Reading preferences',
+            'detail.share': 'Share verse',
+            'detail.feedback': 'Feedback or a correction for this verse',
+            'detail.collections': 'Collections',
+            'detail.note': 'Your note',
+            'detail.notePlaceholder': 'A private note, kept on this device',
+            'detail.related': 'Related verses',
+            'detail.newCollection': 'New collection',
+            'detail.addCollection': 'Add collection',
+
+            'section.original': 'Original',
+            'section.originalKannada': 'Original (Kannada)',
+            'section.transliteration': 'Transliteration',
+            'section.translation': 'Translation',
+            'section.editors': 'Editor\'s',
+            'section.editorsTransliteration': 'Editor\'s transliteration',
+            'section.editorsCurated': 'Editor\'s (curated)',
+
+            'reading.textSize': 'Text size',
+            'reading.lineSpacing': 'Line spacing',
+            'reading.layout': 'Layout',
+            'reading.show': 'Show',
+            'reading.compact': 'Compact',
+            'reading.normal': 'Normal',
+            'reading.spacious': 'Spacious',
+            'reading.sections': 'Sections',
+
+            'practice.blanks': 'Fill the blanks',
+            'practice.dueToday': '{count} due today',
+            'practice.new': '{count} new',
+            'practice.learning': '{count} learning',
+            'practice.start': 'Start',
+            'practice.allDone': 'All done',
+            'practice.dueHeading': 'Due today',
+            'practice.intro': 'Recall each verse, then grade yourself; verses you know well come back less often. Up to {count} new verses are added per session.',
+            'practice.noFavorites': 'Add verses to your favorites to practise them here, or pick a chapter below.',
+            'practice.nothingHere': 'Nothing to practise here.',
+            'practice.seeDecks': 'See all decks',
+            'practice.today': 'today',
+            'practice.showWord': 'Show hidden word',
+            'practice.hiddenLine': 'Hidden line',
+            'practice.gradePrompt': 'How well did you remember it?',
+            'practice.key': 'Key {key}',
+            'practice.showAnswer': 'Show answer',
+            'practice.showNextLine': 'Show next line',
+            'practice.mode': 'Practice mode',
+            'practice.newBadge': 'New',
+            'practice.complete': 'Session complete',
+            'practice.nothingDue': 'Nothing due',
+            'practice.allScheduled': 'Every verse in {deck} is scheduled for a later day.',
+            'practice.continueMore': 'Continue ({count} more)',
+            'practice.allDecks': 'All decks',
+            'practice.grade.again': 'Again',
+            'practice.grade.hard': 'Hard',
+            'practice.grade.good': 'Good',
+            'practice.grade.easy': 'Easy',
+
+            'reminder.failed': 'Couldn\'t set up the daily reminder',
+            'reminder.needsApp': 'Daily reminders need the installed app (Add to Home Screen) in Chrome or Edge',
+            'reminder.blocked': 'Notifications are blocked for this app',
+            'reminder.enabled': 'You\'ll get the Verse of the Day once a day',
+
+            'words.intro': '{count} distinct Kannada words. Tap a word to see every line it appears in.',
+            'words.filter': 'Filter words',
+            'words.filterPlaceholder': 'Filter words…',
+            'words.sort': 'Sort words',
+            'words.mostFrequent': 'Most frequent',
+            'words.empty': 'No words found.',
+            'words.more': 'Show more ({count} left)',
+            'words.frequency': '{occurrences} {verses}',
+            'words.loading': 'Loading verses…',
+            'words.absent': 'This word does not occur in the text.',
+            'words.occurrence': 'Verse {id} · line {line}',
+            'words.seeAll': 'See every occurrence',
+            'words.onlyHere': 'Only in this verse',
+
+            'tags.intro': { one: '{count} tag. Tap a tag to see its verses and search within them.', other: '{count} tags. Tap a tag to see its verses and search within them.' },
+            'tags.empty': 'No tags yet. Open a verse and add your own, like “courage” or “parenting”.',
+            'tags.builtIn': 'Tagged in the book',
+            'tags.add': 'Add tag',
+            'tags.placeholder': 'Add a tag…',
+            'tags.remove': 'Remove tag {name}',
+            'tags.deleteTag': 'Remove this tag from all verses',
+            'tags.deleteConfirm': 'Remove the tag “{name}” from all your verses?',
+
+            'favorites.sort': 'Sort favorites',
+            'favorites.sortAdded': 'Date added',
+            'favorites.sortVerse': 'Verse number',
+            'favorites.sortChapter': 'Chapter',
+            'favorites.collection': 'Collection',
+            'favorites.all': 'All favorites ({count})',
+            'favorites.practise': 'Practise',
+            'favorites.deleteCollection': 'Delete collection',
+            'favorites.deleteConfirm': 'Delete the collection “{name}”? The verses stay in your favorites.',
+            'favorites.added': 'Added {date}',
+
+            'data.importFailed': 'Import failed',
+            'data.importTitle': 'Import backup',
+            'data.importContents': 'This file has {favorites}, {collections} and {notes}.',
+            'data.importExplain': '<strong>Merge</strong> adds them to what is on this device. <strong>Replace</strong> discards this device\'s data, settings included.',
+            'data.replace': 'Replace',
+            'data.merge': 'Merge',
+            'data.importComplete': 'Import complete',
+            'data.added': '{count} added',
+            'data.removed': '{count} removed',
+            'data.changed': '{count} updated',
+            'data.updated': 'updated',
+            'data.noChange': 'no change',
+            'data.notes': 'Notes',
+            'data.inPractice': 'Verses in practice',
+            'data.nowHave': 'You now have {favorites} and {notes}.',
+
+            'share.theme': 'Theme',
+            'share.size': 'Size',
+            'share.preview': 'Preview of the verse image',
+            'share.includeTranslation': 'Include translation',
+            'share.copyText': 'Copy text',
+            'share.image': 'Share image',
+            'share.download': 'Download PNG',
+            'share.theme.paper': 'Paper',
+            'share.theme.night': 'Night',
+            'share.theme.saffron': 'Saffron',
+            'share.size.square': 'Square',
+            'share.size.story': 'Story',
+            'clipboard.copied': 'Copied to clipboard',
+            'clipboard.failed': 'Couldn\'t copy to the clipboard',
+
+            'export.title': 'Handouts',
+            'export.verses': 'Verses',
+            'export.firstVerse': 'First verse',
+            'export.lastVerse': 'Last verse',
+            'export.to': 'to',
+            'export.include': 'Include',
+            'export.print': 'Print',
+            'export.range': 'Verse range…',
+            'export.rangeTitle': 'Verses {from}–{to}',
+            'export.chooseField': 'Choose at least one text to include.',
+            'export.stillLoading': '{verses} (verses are still loading)',
+            'export.downloaded': 'Export downloaded',
+
+            'listen.play': 'Listen',
+            'listen.player': 'Read aloud',
+            'listen.pause': 'Pause',
+            'listen.resume': 'Resume',
+            'listen.stop': 'Stop',
+            'listen.speed': 'Speed',
+            'listen.continuous': 'Keep going with the next verses of this list',
+            'listen.reading': 'Reading verse {id}',
+            'listen.paused': 'Paused · verse {id}',
+            'listen.noKannadaVoice': 'No Kannada voice is installed on this device, so only the translation is read. You can add one in the text-to-speech settings of your phone or computer.',
+            'listen.nothing': 'This verse has no text to read yet',
+            'listen.finished': 'Reached the end of the list',
+            'listen.failed': 'Reading aloud stopped: the voice could not be played',
+
+            'about.author': 'About the Author',
+            'contact.description': 'Feedback, corrections or a kind word — we read everything.',
+            'contact.name': 'Name',
+            'contact.optional': '(optional)',
+            'contact.email': 'E-mail',
+            'contact.optionalReply': '(optional, for a reply)',
+            'contact.message': 'Message',
+            'contact.send': 'Send',
+            'contact.aboutVerse': 'About verse {id}',
+            'contact.required': 'Please write a message.',
+            'contact.sending': 'Sending…',
+            'contact.sent': 'Thank you! Your message has been sent.',
+            'contact.mailFallback': 'Your mail app should open with the message. If it doesn\'t, write to us at {email}.'
+        },
+
+        kn: {
+            'app.tagline': 'ಸರಳ ಪದ್ಯಗಳು, ಆಳವಾದ ಸತ್ಯಗಳು.',
+            'app.shareText': 'ಕೆ. ಸಿ. ಶಿವಪ್ಪ ಅವರ ಜ್ಞಾನವನ್ನು ಮುದ್ದುರಾಮನ ಮನಸು ಆ್ಯಪ್‌ನಲ್ಲಿ ಓದಿ!',
+
+            'common.close': 'ಮುಚ್ಚಿ',
+            'common.cancel': 'ರದ್ದುಮಾಡಿ',
+            'common.done': 'ಆಯಿತು',
+            'common.dismiss': 'ಮರೆಮಾಡಿ',
+            'common.retry': 'ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ',
+            'common.retrying': 'ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಲಾಗುತ್ತಿದೆ...',
+            'common.previous': 'ಹಿಂದಿನದು',
+            'common.next': 'ಮುಂದಿನದು',
+            'common.position': '{total}ರಲ್ಲಿ {index}',
+            'common.verse': 'ಪದ್ಯ {id}',
+            'common.lineByLine': 'ಸಾಲು ಸಾಲಾಗಿ',
+            'common.verseCount': { one: '{count} ಪದ್ಯ', other: '{count} ಪದ್ಯಗಳು' },
+            'common.inVerses': { one: '{count} ಪದ್ಯದಲ್ಲಿ', other: '{count} ಪದ್ಯಗಳಲ್ಲಿ' },
+            'common.dayCount': { one: '{count} ದಿನ', other: '{count} ದಿನಗಳು' },
+            'common.favoriteCount': { one: '{count} ಮೆಚ್ಚಿನ ಪದ್ಯ', other: '{count} ಮೆಚ್ಚಿನ ಪದ್ಯಗಳು' },
+            'common.collectionCount': { one: '{count} ಸಂಗ್ರಹ', other: '{count} ಸಂಗ್ರಹಗಳು' },
+            'common.noteCount': { one: '{count} ಟಿಪ್ಪಣಿ', other: '{count} ಟಿಪ್ಪಣಿಗಳು' },
+            'common.occurrenceCount': { one: '{count} ಬಾರಿ', other: '{count} ಬಾರಿ' },
+
+            'title.today': 'ಇಂದಿನ ಪದ್ಯ',
+            'title.favorites': 'ಮೆಚ್ಚಿನವುಗಳು',
+            'title.recent': 'ಇತ್ತೀಚೆಗೆ ಓದಿದವು',
+            'title.practice': 'ಕಂಠಪಾಠ',
+            'title.words': 'ಪದಕೋಶ',
+            'title.chapters': 'ಅಧ್ಯಾಯಗಳು',
+            'title.tags': 'ಟ್ಯಾಗ್‌ಗಳು',
+
+            'drawer.details': 'ವಿವರಗಳು',
+            'drawer.handouts': 'ಕರಪತ್ರಗಳು (ಮುದ್ರಣ, EPUB, Markdown)',
+            'drawer.about': 'ಕುರಿತು',
+            'drawer.contact': 'ಸಂಪರ್ಕಿಸಿ',
+            'drawer.share': 'ಹಂಚಿಕೊಳ್ಳಿ',
+            'drawer.settings': 'ಸೆಟ್ಟಿಂಗ್‌ಗಳು',
+            'drawer.footer': 'ಕನ್ನಡಕ್ಕಾಗಿ ವಿನ್ಯಾಸಗೊಳಿಸಲಾಗಿದೆ',
+
+            'settings.darkMode': 'ಗಾಢ ಬಣ್ಣ',
+            'settings.lightMode': 'ತಿಳಿ ಬಣ್ಣ',
+            'settings.language': 'ಭಾಷೆ',
+            'settings.numerals': 'ಕನ್ನಡ ಅಂಕಿಗಳು (೧೨೩)',
+            'settings.transliteration': 'ಲಿಪ್ಯಂತರ',
+            'settings.reading': 'ಓದುವಿಕೆ',
+            'settings.reminder': 'ದೈನಂದಿನ ಜ್ಞಾಪನೆ',
+            'settings.clearHistory': 'ಓದಿನ ಇತಿಹಾಸ ಅಳಿಸಿ',
+            'settings.exportData': 'ನನ್ನ ಮಾಹಿತಿ ರಫ್ತುಮಾಡಿ',
+            'settings.import': 'ಆಮದುಮಾಡಿ',
+
+            'search.placeholder': 'ಹುಡುಕಿ...',
+            'search.placeholderMobile': 'ಕನ್ನಡ, ಇಂಗ್ಲಿಷ್ ಅಥವಾ ಸಂಖ್ಯೆ ಹುಡುಕಿ...',
+            'search.placeholderPhonetic': 'nAnu → ನಾನು',
+            'search.placeholderPhoneticMobile': 'ಉಚ್ಚಾರದಂತೆ ಟೈಪ್ ಮಾಡಿ: nAnu → ನಾನು',
+            'search.syntax': 'ಪದಗಳು, "ನಿಖರ ವಾಕ್ಯ", chapter:3, verse:10-20',
+            'search.phonetic': 'ಉಚ್ಚಾರದಂತೆ ಕನ್ನಡ ಟೈಪಿಂಗ್',
+            'search.phoneticHint': 'ಉಚ್ಚಾರದಂತೆ ಕನ್ನಡ ಟೈಪಿಂಗ್ (nAnu → ನಾನು)',
+            'search.commitKeys': 'ಸ್ಪೇಸ್ / ಎಂಟರ್ ↵',
+            'search.surprise': 'ಯಾವುದಾದರೂ ಒಂದು ಪದ್ಯ',
+            'search.surpriseHint': 'ಈ ಪಟ್ಟಿಯಿಂದ ಯಾವುದಾದರೂ ಒಂದು ಪದ್ಯ',
+            'search.surpriseEmpty': 'ಈ ಪಟ್ಟಿಯಲ್ಲಿ ಬೇರೆ ಪದ್ಯಗಳಿಲ್ಲ',
+
+            'list.loading': 'ಪದ್ಯಗಳನ್ನು ತೆರೆಯಲಾಗುತ್ತಿದೆ...',
+            'list.empty': 'ಪದ್ಯಗಳು ಸಿಗಲಿಲ್ಲ.',
+            'list.results': { one: '{count} ಫಲಿತಾಂಶ', other: '{count} ಫಲಿತಾಂಶಗಳು' },
+            'list.end': '— ಪದ್ಯಗಳು ಮುಗಿದವು —',
+            'list.allVerses': 'ಎಲ್ಲಾ ಪದ್ಯಗಳು',
+            'list.search': 'ಹುಡುಕಾಟ “{query}”',
+
+            'load.failedVerses': { one: '{count} ಪದ್ಯವನ್ನು ತೆರೆಯಲಾಗಲಿಲ್ಲ: {ids}', other: '{count} ಪದ್ಯಗಳನ್ನು ತೆರೆಯಲಾಗಲಿಲ್ಲ: {ids}' },
+            'load.errorTitle': 'ಪದ್ಯಗಳನ್ನು ತೆರೆಯುವಲ್ಲಿ ದೋಷ',
+            'load.offline': 'ನೀವು ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿರುವಂತಿದೆ, ಮತ್ತು ಪದ್ಯಗಳು ಈ ಸಾಧನದಲ್ಲಿ ಇನ್ನೂ ಉಳಿಸಲ್ಪಟ್ಟಿಲ್ಲ.',
+            'load.offlineHint': 'ಸಂಪರ್ಕ ಇರುವಾಗ ಒಮ್ಮೆ ಆ್ಯಪ್ ತೆರೆಯಿರಿ; ಆ ನಂತರ ಸಂಪರ್ಕವಿಲ್ಲದೆಯೂ ಕೆಲಸ ಮಾಡುತ್ತದೆ.',
+            'load.notBuilt': 'ಪದ್ಯಗಳ ದತ್ತಾಂಶವನ್ನು ಇನ್ನೂ ಸಿದ್ಧಪಡಿಸಿಲ್ಲ (data/manifest.json ಇಲ್ಲ).',
+            'load.notBuiltHint': 'ಒಮ್ಮೆ <code>node scripts/build-data.js</code> ಚಲಾಯಿಸಿ, ನಂತರ ಪುಟವನ್ನು ಮರುಲೋಡ್ ಮಾಡಿ.',
+            'load.noServer': 'ಪದ್ಯಗಳ ದತ್ತಾಂಶವನ್ನು ತೆರೆಯಲಾಗಲಿಲ್ಲ. ವೆಬ್ ಸರ್ವರ್ ಇಲ್ಲದೆ ಸ್ಥಳೀಯ JSON ಕಡತಗಳನ್ನು (<code>fetch</code> ಮೂಲಕ) ತೆರೆಯಲು ಪ್ರಯತ್ನಿಸಿದಾಗ ಹೀಗಾಗುವುದು ಸಾಮಾನ್ಯ.',
+            'load.noServerHint': 'ದಯವಿಟ್ಟು <code>index.html</code> ಅನ್ನು ಸ್ಥಳೀಯ ಸರ್ವರ್ ಮೂಲಕ (ಉದಾ. "Live Server") ತೆರೆಯಿರಿ.',
+
+            'update.available': 'ಹೊಸ ಆವೃತ್ತಿ ಲಭ್ಯವಿದೆ',
+            'update.reload': 'ಮರುಲೋಡ್ ಮಾಡಿ',
+
+            'chapters.empty': 'ಅಧ್ಯಾಯಗಳು ಸಿಗಲಿಲ್ಲ.',
+            'chapter.notFound': 'ಅಧ್ಯಾಯ ಸಿಗಲಿಲ್ಲ.',
+            'chapter.seeAll': 'ಎಲ್ಲಾ ಅಧ್ಯಾಯಗಳನ್ನು ನೋಡಿ',
+            'chapter.practise': 'ಕಂಠಪಾಠ ಮಾಡಿ',
+
+            'progress.read': '{total}ರಲ್ಲಿ {read} ಓದಲಾಗಿದೆ',
+            'progress.readHint': '{total} ಪದ್ಯಗಳಲ್ಲಿ {read} ಓದಲಾಗಿದೆ',
+            'progress.label': 'ಓದಿದ ಪದ್ಯಗಳು',
+            'history.clearConfirm': 'ಈ ಸಾಧನದಲ್ಲಿನ ನಿಮ್ಮ ಓದಿನ ಇತಿಹಾಸ, ಪ್ರಗತಿ ಮತ್ತು ಸತತ ದಿನಗಳ ದಾಖಲೆಯನ್ನು ಅಳಿಸಬೇಕೆ?',
+            'history.cleared': 'ಓದಿನ ಇತಿಹಾಸ ಅಳಿಸಲಾಗಿದೆ',
+            'continue.title': 'ನಿಲ್ಲಿಸಿದಲ್ಲಿಂದ ಮುಂದುವರಿಸಿ · {id}',
+            'continue.streak': 'ಸತತವಾಗಿ ಓದಿದ ದಿನಗಳು',
+
+            'detail.loading': 'ಪದ್ಯ {id} ತೆರೆಯಲಾಗುತ್ತಿದೆ...',
+            'detail.loadFailed': 'ಪದ್ಯ {id} ತೆರೆಯಲಾಗಲಿಲ್ಲ',
+            'detail.notFound': 'ಪದ್ಯ ಸಿಗಲಿಲ್ಲ',
+            'detail.breadcrumb': 'ನೀವು ಇರುವ ಸ್ಥಳ',
+            'detail.previousVerse': 'ಹಿಂದಿನ ಪದ್ಯ',
+            'detail.previousHint': 'ಹಿಂದಿನ ಪದ್ಯ (← / k)',
+            'detail.nextVerse': 'ಮುಂದಿನ ಪದ್ಯ',
+            'detail.nextHint': 'ಮುಂದಿನ ಪದ್ಯ (→ / j)',
+            'detail.readingPrefs': 'ಓದುವ ಆಯ್ಕೆಗಳು',
+            'detail.share': 'ಪದ್ಯ ಹಂಚಿಕೊಳ್ಳಿ',
+            'detail.feedback': 'ಈ ಪದ್ಯದ ಕುರಿತು ಅಭಿಪ್ರಾಯ ಅಥವಾ ತಿದ್ದುಪಡಿ',
+            'detail.collections': 'ಸಂಗ್ರಹಗಳು',
+            'detail.note': 'ನಿಮ್ಮ ಟಿಪ್ಪಣಿ',
+            'detail.notePlaceholder': 'ಈ ಸಾಧನದಲ್ಲೇ ಉಳಿಯುವ ಖಾಸಗಿ ಟಿಪ್ಪಣಿ',
+            'detail.related': 'ಸಂಬಂಧಿತ ಪದ್ಯಗಳು',
+            'detail.newCollection': 'ಹೊಸ ಸಂಗ್ರಹ',
+            'detail.addCollection': 'ಸಂಗ್ರಹ ಸೇರಿಸಿ',
+
+            'section.original': 'ಮೂಲ',
+            'section.originalKannada': 'ಮೂಲ (ಕನ್ನಡ)',
+            'section.transliteration': 'ಲಿಪ್ಯಂತರ',
+            'section.translation': 'ಅನುವಾದ',
+            'section.editors': 'ಸಂಪಾದಕರದು',
+            'section.editorsTransliteration': 'ಸಂಪಾದಕರ ಲಿಪ್ಯಂತರ',
+            'section.editorsCurated': 'ಸಂಪಾದಕರದು (ಪರಿಷ್ಕೃತ)',
+
+            'reading.textSize': 'ಅಕ್ಷರಗಳ ಗಾತ್ರ',
+            'reading.lineSpacing': 'ಸಾಲುಗಳ ನಡುವಿನ ಅಂತರ',
+            'reading.layout': 'ವಿನ್ಯಾಸ',
+            'reading.show': 'ತೋರಿಸಬೇಕಾದವು',
+            'reading.compact': 'ಒತ್ತಾಗಿ',
+            'reading.normal': 'ಸಾಮಾನ್ಯ',
+            'reading.spacious': 'ವಿಶಾಲ',
+            'reading.sections': 'ವಿಭಾಗಗಳಾಗಿ',
+
+            'practice.blanks': 'ಬಿಟ್ಟ ಪದ ತುಂಬಿ',
+            'practice.dueToday': 'ಇಂದು {count} ಬಾಕಿ',
+            'practice.new': '{count} ಹೊಸವು',
+            'practice.learning': '{count} ಕಲಿಕೆಯಲ್ಲಿ',
+            'practice.start': 'ಆರಂಭಿಸಿ',
+            'practice.allDone': 'ಎಲ್ಲವೂ ಮುಗಿದಿದೆ',
+            'practice.dueHeading': 'ಇಂದು ಬಾಕಿ',
+            'practice.intro': 'ಪ್ರತಿ ಪದ್ಯವನ್ನು ನೆನಪಿಸಿಕೊಂಡು ನಿಮಗೆ ನೀವೇ ಅಂಕ ಕೊಡಿ; ಚೆನ್ನಾಗಿ ಬಂದ ಪದ್ಯಗಳು ಅಪರೂಪವಾಗಿ ಮರಳುತ್ತವೆ. ಪ್ರತಿ ಸಲ ಹೆಚ್ಚೆಂದರೆ {count} ಹೊಸ ಪದ್ಯಗಳು ಸೇರುತ್ತವೆ.',
+            'practice.noFavorites': 'ಇಲ್ಲಿ ಅಭ್ಯಾಸ ಮಾಡಲು ಪದ್ಯಗಳನ್ನು ಮೆಚ್ಚಿನವುಗಳಿಗೆ ಸೇರಿಸಿ, ಅಥವಾ ಕೆಳಗಿನ ಒಂದು ಅಧ್ಯಾಯ ಆರಿಸಿ.',
+            'practice.nothingHere': 'ಇಲ್ಲಿ ಅಭ್ಯಾಸ ಮಾಡಲು ಏನೂ ಇಲ್ಲ.',
+            'practice.seeDecks': 'ಎಲ್ಲಾ ಗುಚ್ಛಗಳನ್ನು ನೋಡಿ',
+            'practice.today': 'ಇಂದು',
+            'practice.showWord': 'ಮರೆಮಾಡಿದ ಪದ ತೋರಿಸಿ',
+            'practice.hiddenLine': 'ಮರೆಮಾಡಿದ ಸಾಲು',
+            'practice.gradePrompt': 'ಎಷ್ಟು ಚೆನ್ನಾಗಿ ನೆನಪಿತ್ತು?',
+            'practice.key': 'ಕೀ {key}',
+            'practice.showAnswer': 'ಉತ್ತರ ತೋರಿಸಿ',
+            'practice.showNextLine': 'ಮುಂದಿನ ಸಾಲು ತೋರಿಸಿ',
+            'practice.mode': 'ಅಭ್ಯಾಸದ ವಿಧಾನ',
+            'practice.newBadge': 'ಹೊಸದು',
+            'practice.complete': 'ಈ ಸಲದ ಅಭ್ಯಾಸ ಮುಗಿಯಿತು',
+            'practice.nothingDue': 'ಯಾವುದೂ ಬಾಕಿ ಇಲ್ಲ',
+            'practice.allScheduled': '{deck} – ಇದರ ಎಲ್ಲಾ ಪದ್ಯಗಳು ಮುಂದಿನ ದಿನಗಳಿಗೆ ನಿಗದಿಯಾಗಿವೆ.',
+            'practice.continueMore': 'ಮುಂದುವರಿಸಿ (ಇನ್ನೂ {count})',
+            'practice.allDecks': 'ಎಲ್ಲಾ ಗುಚ್ಛಗಳು',
+            'practice.grade.again': 'ಮತ್ತೆ',
+            'practice.grade.hard': 'ಕಷ್ಟ',
+            'practice.grade.good': 'ಸರಿ',
+            'practice.grade.easy': 'ಸುಲಭ',
+
+            'reminder.failed': 'ದೈನಂದಿನ ಜ್ಞಾಪನೆ ಹೊಂದಿಸಲಾಗಲಿಲ್ಲ',
+            'reminder.needsApp': 'ದೈನಂದಿನ ಜ್ಞಾಪನೆಗೆ Chrome ಅಥವಾ Edgeನಲ್ಲಿ ಸ್ಥಾಪಿಸಿದ ಆ್ಯಪ್ (Add to Home Screen) ಬೇಕು',
+            'reminder.blocked': 'ಈ ಆ್ಯಪ್‌ನ ಅಧಿಸೂಚನೆಗಳನ್ನು ತಡೆಹಿಡಿಯಲಾಗಿದೆ',
+            'reminder.enabled': 'ಇನ್ನು ದಿನಕ್ಕೊಮ್ಮೆ ಇಂದಿನ ಪದ್ಯ ನಿಮಗೆ ಬರುತ್ತದೆ',
+
+            'words.intro': '{count} ಬೇರೆ ಬೇರೆ ಕನ್ನಡ ಪದಗಳು. ಪದ ಬರುವ ಎಲ್ಲಾ ಸಾಲುಗಳನ್ನು ನೋಡಲು ಅದನ್ನು ಒತ್ತಿ.',
+            'words.filter': 'ಪದಗಳನ್ನು ಸೋಸಿ',
+            'words.filterPlaceholder': 'ಪದಗಳನ್ನು ಸೋಸಿ…',
+            'words.sort': 'ಪದಗಳ ಕ್ರಮ',
+            'words.mostFrequent': 'ಹೆಚ್ಚು ಬಳಕೆಯವು ಮೊದಲು',
+            'words.empty': 'ಪದಗಳು ಸಿಗಲಿಲ್ಲ.',
+            'words.more': 'ಇನ್ನಷ್ಟು ತೋರಿಸಿ (ಇನ್ನೂ {count})',
+            'words.frequency': '{verses} {occurrences}',
+            'words.loading': 'ಪದ್ಯಗಳನ್ನು ತೆರೆಯಲಾಗುತ್ತಿದೆ…',
+            'words.absent': 'ಈ ಪದ ಪಠ್ಯದಲ್ಲಿ ಬರುವುದಿಲ್ಲ.',
+            'words.occurrence': 'ಪದ್ಯ {id} · ಸಾಲು {line}',
+            'words.seeAll': 'ಎಲ್ಲೆಲ್ಲಿ ಬರುತ್ತದೆ ಎಂದು ನೋಡಿ',
+            'words.onlyHere': 'ಈ ಪದ್ಯದಲ್ಲಿ ಮಾತ್ರ',
+
+            'tags.intro': { one: '{count} ಟ್ಯಾಗ್. ಅದರ ಪದ್ಯಗಳನ್ನು ನೋಡಲು ಮತ್ತು ಅವುಗಳಲ್ಲಿ ಹುಡುಕಲು ಟ್ಯಾಗ್ ಒತ್ತಿ.', other: '{count} ಟ್ಯಾಗ್‌ಗಳು. ಅದರ ಪದ್ಯಗಳನ್ನು ನೋಡಲು ಮತ್ತು ಅವುಗಳಲ್ಲಿ ಹುಡುಕಲು ಟ್ಯಾಗ್ ಒತ್ತಿ.' },
+            'tags.empty': 'ಇನ್ನೂ ಟ್ಯಾಗ್‌ಗಳಿಲ್ಲ. ಪದ್ಯವನ್ನು ತೆರೆದು “ಧೈರ್ಯ”, “ಮಕ್ಕಳ ಪಾಲನೆ” ಮುಂತಾದ ನಿಮ್ಮ ಟ್ಯಾಗ್‌ಗಳನ್ನು ಸೇರಿಸಿ.',
+            'tags.builtIn': 'ಪುಸ್ತಕದಲ್ಲೇ ಇರುವ ಟ್ಯಾಗ್',
+            'tags.add': 'ಟ್ಯಾಗ್ ಸೇರಿಸಿ',
+            'tags.placeholder': 'ಟ್ಯಾಗ್ ಸೇರಿಸಿ…',
+            'tags.remove': '{name} ಟ್ಯಾಗ್ ತೆಗೆಯಿರಿ',
+            'tags.deleteTag': 'ಎಲ್ಲಾ ಪದ್ಯಗಳಿಂದ ಈ ಟ್ಯಾಗ್ ತೆಗೆಯಿರಿ',
+            'tags.deleteConfirm': '“{name}” ಟ್ಯಾಗನ್ನು ನಿಮ್ಮ ಎಲ್ಲಾ ಪದ್ಯಗಳಿಂದ ತೆಗೆಯಬೇಕೆ?',
+
+            'favorites.sort': 'ಮೆಚ್ಚಿನವುಗಳ ಕ್ರಮ',
+            'favorites.sortAdded': 'ಸೇರಿಸಿದ ದಿನಾಂಕ',
+            'favorites.sortVerse': 'ಪದ್ಯದ ಸಂಖ್ಯೆ',
+            'favorites.sortChapter': 'ಅಧ್ಯಾಯ',
+            'favorites.collection': 'ಸಂಗ್ರಹ',
+            'favorites.all': 'ಎಲ್ಲಾ ಮೆಚ್ಚಿನವುಗಳು ({count})',
+            'favorites.practise': 'ಅಭ್ಯಾಸ ಮಾಡಿ',
+            'favorites.deleteCollection': 'ಸಂಗ್ರಹ ಅಳಿಸಿ',
+            'favorites.deleteConfirm': '“{name}” ಸಂಗ್ರಹವನ್ನು ಅಳಿಸಬೇಕೆ? ಪದ್ಯಗಳು ನಿಮ್ಮ ಮೆಚ್ಚಿನವುಗಳಲ್ಲೇ ಇರುತ್ತವೆ.',
+            'favorites.added': '{date} ರಂದು ಸೇರಿಸಲಾಗಿದೆ',
+
+            'data.importFailed': 'ಆಮದು ವಿಫಲವಾಯಿತು',
+            'data.importTitle': 'ಬ್ಯಾಕಪ್ ಆಮದು',
+            'data.importContents': 'ಈ ಕಡತದಲ್ಲಿ {favorites}, {collections} ಮತ್ತು {notes} ಇವೆ.',
+            'data.importExplain': '<strong>ವಿಲೀನಗೊಳಿಸಿ</strong> ಅವುಗಳನ್ನು ಈ ಸಾಧನದಲ್ಲಿರುವುದಕ್ಕೆ ಸೇರಿಸುತ್ತದೆ. <strong>ಬದಲಿಸಿ</strong> ಈ ಸಾಧನದ ಮಾಹಿತಿಯನ್ನು, ಸೆಟ್ಟಿಂಗ್‌ಗಳೂ ಸೇರಿ, ತೆಗೆದುಹಾಕುತ್ತದೆ.',
+            'data.replace': 'ಬದಲಿಸಿ',
+            'data.merge': 'ವಿಲೀನಗೊಳಿಸಿ',
+            'data.importComplete': 'ಆಮದು ಪೂರ್ಣಗೊಂಡಿದೆ',
+            'data.added': '{count} ಸೇರಿವೆ',
+            'data.removed': '{count} ತೆಗೆಯಲಾಗಿದೆ',
+            'data.changed': '{count} ಬದಲಾಗಿವೆ',
+            'data.updated': 'ಬದಲಾಗಿವೆ',
+            'data.noChange': 'ಬದಲಾವಣೆ ಇಲ್ಲ',
+            'data.notes': 'ಟಿಪ್ಪಣಿಗಳು',
+            'data.inPractice': 'ಅಭ್ಯಾಸದಲ್ಲಿರುವ ಪದ್ಯಗಳು',
+            'data.nowHave': 'ಈಗ ನಿಮ್ಮ ಬಳಿ {favorites} ಮತ್ತು {notes} ಇವೆ.',
+
+            'share.theme': 'ಬಣ್ಣ',
+            'share.size': 'ಗಾತ್ರ',
+            'share.preview': 'ಪದ್ಯದ ಚಿತ್ರದ ಮುನ್ನೋಟ',
+            'share.includeTranslation': 'ಅನುವಾದವನ್ನೂ ಸೇರಿಸಿ',
+            'share.copyText': 'ಪಠ್ಯ ನಕಲಿಸಿ',
+            'share.image': 'ಚಿತ್ರ ಹಂಚಿಕೊಳ್ಳಿ',
+            'share.download': 'PNG ಇಳಿಸಿಕೊಳ್ಳಿ',
+            'share.theme.paper': 'ಕಾಗದ',
+            'share.theme.night': 'ರಾತ್ರಿ',
+            'share.theme.saffron': 'ಕೇಸರಿ',
+            'share.size.square': 'ಚೌಕ',
+            'share.size.story': 'ಸ್ಟೋರಿ',
+            'clipboard.copied': 'ನಕಲಿಸಲಾಗಿದೆ',
+            'clipboard.failed': 'ನಕಲಿಸಲಾಗಲಿಲ್ಲ',
+
+            'export.title': 'ಕರಪತ್ರಗಳು',
+            'export.verses': 'ಪದ್ಯಗಳು',
+            'export.firstVerse': 'ಮೊದಲ ಪದ್ಯ',
+            'export.lastVerse': 'ಕೊನೆಯ ಪದ್ಯ',
+            'export.to': 'ರಿಂದ',
+            'export.include': 'ಸೇರಿಸಬೇಕಾದವು',
+            'export.print': 'ಮುದ್ರಿಸಿ',
+            'export.range': 'ಪದ್ಯಗಳ ವ್ಯಾಪ್ತಿ…',
+            'export.rangeTitle': 'ಪದ್ಯಗಳು {from}–{to}',
+            'export.chooseField': 'ಕನಿಷ್ಠ ಒಂದು ಪಠ್ಯವನ್ನು ಆರಿಸಿ.',
+            'export.stillLoading': '{verses} (ಪದ್ಯಗಳು ಇನ್ನೂ ತೆರೆಯುತ್ತಿವೆ)',
+            'export.downloaded': 'ಕಡತ ಇಳಿಸಲಾಗಿದೆ',
+
+            'listen.play': 'ಆಲಿಸಿ',
+            'listen.player': 'ಗಟ್ಟಿಯಾಗಿ ಓದು',
+            'listen.pause': 'ತಡೆಹಿಡಿ',
+            'listen.resume': 'ಮುಂದುವರಿಸಿ',
+            'listen.stop': 'ನಿಲ್ಲಿಸಿ',
+            'listen.speed': 'ವೇಗ',
+            'listen.continuous': 'ಈ ಪಟ್ಟಿಯ ಮುಂದಿನ ಪದ್ಯಗಳನ್ನೂ ಓದುತ್ತಾ ಹೋಗಿ',
+            'listen.reading': 'ಪದ್ಯ {id} ಓದಲಾಗುತ್ತಿದೆ',
+            'listen.paused': 'ತಡೆಹಿಡಿಯಲಾಗಿದೆ · ಪದ್ಯ {id}',
+            'listen.noKannadaVoice': 'ಈ ಸಾಧನದಲ್ಲಿ ಕನ್ನಡ ಧ್ವನಿ ಇಲ್ಲ, ಆದ್ದರಿಂದ ಅನುವಾದವನ್ನು ಮಾತ್ರ ಓದಲಾಗುತ್ತದೆ. ನಿಮ್ಮ ಫೋನ್ ಅಥವಾ ಕಂಪ್ಯೂಟರ್‌ನ ಪಠ್ಯದಿಂದ-ಧ್ವನಿ (text-to-speech) ಸೆಟ್ಟಿಂಗ್‌ಗಳಲ್ಲಿ ಕನ್ನಡ ಧ್ವನಿಯನ್ನು ಸೇರಿಸಬಹುದು.',
+            'listen.nothing': 'ಈ ಪದ್ಯದಲ್ಲಿ ಓದಲು ಇನ್ನೂ ಪಠ್ಯವಿಲ್ಲ',
+            'listen.finished': 'ಪಟ್ಟಿಯ ಕೊನೆ ತಲುಪಿದೆ',
+            'listen.failed': 'ಧ್ವನಿಯನ್ನು ನುಡಿಸಲಾಗಲಿಲ್ಲ, ಓದುವುದನ್ನು ನಿಲ್ಲಿಸಲಾಗಿದೆ',
+
+            'about.author': 'ಲೇಖಕರ ಕುರಿತು',
+            'contact.description': 'ಅಭಿಪ್ರಾಯ, ತಿದ್ದುಪಡಿ ಅಥವಾ ಒಂದು ಒಳ್ಳೆಯ ಮಾತು — ನಾವು ಎಲ್ಲವನ್ನೂ ಓದುತ್ತೇವೆ.',
+            'contact.name': 'ಹೆಸರು',
+            'contact.optional': '(ಐಚ್ಛಿಕ)',
+            'contact.email': 'ಇ-ಮೇಲ್',
+            'contact.optionalReply': '(ಐಚ್ಛಿಕ, ಉತ್ತರಕ್ಕಾಗಿ)',
+            'contact.message': 'ಸಂದೇಶ',
+            'contact.send': 'ಕಳುಹಿಸಿ',
+            'contact.aboutVerse': 'ಪದ್ಯ {id} ಕುರಿತು',
+            'contact.required': 'ದಯವಿಟ್ಟು ಸಂದೇಶ ಬರೆಯಿರಿ.',
+            'contact.sending': 'ಕಳುಹಿಸಲಾಗುತ್ತಿದೆ…',
+            'contact.sent': 'ಧನ್ಯವಾದಗಳು! ನಿಮ್ಮ ಸಂದೇಶ ತಲುಪಿದೆ.',
+            'contact.mailFallback': 'ನಿಮ್ಮ ಮೇಲ್ ಆ್ಯಪ್ ಸಂದೇಶದೊಂದಿಗೆ ತೆರೆಯಬೇಕು. ತೆರೆಯದಿದ್ದರೆ {email} ಗೆ ಬರೆಯಿರಿ.'
+        }
+    };
+
+    function isLanguage(id) {
+        return LANGUAGES.some(l => l.id === id);
+    }
+
+    // First supported language among the browser's preferences ('kn-IN' -> 'kn'), else English
+    function detectLanguage(preferred) {
+        for (const tag of preferred || []) {
+            const primary = String(tag).toLowerCase().split('-')[0];
+            if (isLanguage(primary)) return primary;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    function localizeDigits(text) {
+        return String(text).replace(/[0-9]/g, d => KANNADA_DIGITS[d]);
+    }
+
+    /**
+     * Translator for one language: { language, t(key, params), formatNumber(n), formatDate(date, options) }.
+     * options.numerals: 'latin' (default) or 'kannada'.
+     */
+    function createTranslator(language, options = {}) {
+        const lang = isLanguage(language) ? language : DEFAULT_LANGUAGE;
+        const kannadaDigits = options.numerals === 'kannada';
+        const digits = text => (kannadaDigits ? localizeDigits(text) : String(text));
+        let pluralRules = null;
+        try {
+            pluralRules = new Intl.PluralRules(lang);
+        } catch (error) {
+            // Very old browsers: English rules are close enough for both languages
+        }
+
+        // Verse numbers read better without grouping ("1100", not "1,100")
+        const formatNumber = n => digits(n);
+
+        const formatDate = (date, dateOptions) => digits(new Date(date).toLocaleDateString(lang, dateOptions));
+
+        function message(key, count) {
+            let text = CATALOGS[lang][key];
+            if (text === undefined) text = CATALOGS[DEFAULT_LANGUAGE][key];
+            if (text === undefined) return key;
+            if (typeof text === 'object') {
+                const form = pluralRules ? pluralRules.select(count) : (count === 1 ? 'one' : 'other');
+                text = text[form] !== undefined ? text[form] : text.other;
+            }
+            return text;
+        }
+
+        function t(key, params = {}) {
+            return message(key, Number(params.count)).replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in params)) return match;
+                const value = params[name];
+                return typeof value === 'number' ? formatNumber(value) : String(value);
+            });
+        }
+
+        return { language: lang, numerals: kannadaDigits ? 'kannada' : 'latin', t, formatNumber, formatDate };
+    }
+
+    const I18n = { LANGUAGES, DEFAULT_LANGUAGE, NUMERALS, CATALOGS, detectLanguage, localizeDigits, createTranslator };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = I18n;
+    } else {
+        root.I18n = I18n;
+    }
+})(typeof self !== 'undefined' ? self : this);
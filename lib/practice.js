@@ -0,0 +1,125 @@
+/**
+ * PRACTICE (memorization scheduler)
+ * SM-2 style spaced repetition for learning verses by heart. Each verse being
+ * learnt has a card { reps, interval (days), ease, due: 'YYYY-MM-DD', lapses };
+ * the cards are stored with the rest of the user data (lib/user-data.js).
+ */
+(function (root) {
+    const { dayKey } = root.UserData || require('./user-data');
+
+    // Self-grades, mapped to SM-2 recall quality (0-5)
+    const GRADES = [
+        { id: 'again', label: 'Again', quality: 1 },
+        { id: 'hard', label: 'Hard', quality: 3 },
+        { id: 'good', label: 'Good', quality: 4 },
+        { id: 'easy', label: 'Easy', quality: 5 }
+    ];
+
+    const MIN_EASE = 1.3;
+    const START_EASE = 2.5;
+    const HARD_FACTOR = 1.2;
+    // New verses introduced per session, so a whole chapter doesn't arrive at once
+    const NEW_PER_SESSION = 10;
+
+    function addDays(date, days) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        day.setDate(day.getDate() + days);
+        return day;
+    }
+
+    function newCard() {
+        return { reps: 0, interval: 0, ease: START_EASE, due: null, lapses: 0 };
+    }
+
+    /**
+     * The card after grading it ('again'|'hard'|'good'|'easy') on 'date'.
+     * A failed recall starts the verse over and brings it back the same day;
+     * otherwise intervals go 1 day, 6 days, then grow by the ease factor
+     * (which good recalls raise and poor ones lower).
+     */
+    function review(card, gradeId, date) {
+        const grade = GRADES.find(g => g.id === gradeId);
+        if (!grade) throw new Error(`Unknown grade: ${gradeId}`);
+        const q = grade.quality;
+        const next = { ...newCard(), ...card };
+
+        // Failing a verse that isn't learnt yet is part of learning it: no penalty
+        if (q >= 3 || next.reps > 0) {
+            next.ease = Math.max(MIN_EASE, Math.round((next.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))) * 100) / 100);
+        }
+        if (q < 3) {
+            if (next.reps > 0) next.lapses++;
+            next.reps = 0;
+            next.interval = 0;
+        } else {
+            next.reps++;
+            // 'Hard' grows the interval only a little, whatever the ease
+            next.interval = next.reps === 1 ? 1 : next.reps === 2 ? 6 : Math.round(next.interval * (q === 3 ? HARD_FACTOR : next.ease));
+            if (gradeId === 'easy') next.interval = Math.max(next.interval, next.reps === 1 ? 4 : next.interval + 1);
+        }
+        next.due = dayKey(addDays(date, next.interval));
+        return next;
+    }
+
+    // Interval each grade would give, for labels on the grade buttons: { again: 0, hard: 1, ... }
+    function previewIntervals(card, date) {
+        const intervals = {};
+        GRADES.forEach(g => { intervals[g.id] = review(card, g.id, date).interval; });
+        return intervals;
+    }
+
+    function isDue(card, date) {
+        return Boolean(card && card.due && card.due <= dayKey(date));
+    }
+
+    /**
+     * Split a deck of verse ids by what it needs on 'date', using the cards in
+     * 'practice' ({ verseId: card }): { due: [ids], fresh: [ids never practised], learnt: count }.
+     */
+    function deckStatus(practice, ids, date) {
+        const status = { due: [], fresh: [], learnt: 0 };
+        ids.forEach(id => {
+            const card = practice[id];
+            if (!card) status.fresh.push(id);
+            else if (isDue(card, date)) status.due.push(id);
+            else status.learnt++;
+        });
+        return status;
+    }
+
+    // Today's queue for a deck: due verses (most overdue first), then a few new ones in order
+    function sessionQueue(practice, ids, date) {
+        const { due, fresh } = deckStatus(practice, ids, date);
+        due.sort((a, b) => practice[a].due.localeCompare(practice[b].due) || a - b);
+        return [...due, ...fresh.slice(0, NEW_PER_SESSION)];
+    }
+
+    /**
+     * Words of a line with some blanked for recall: [{ word, hidden }].
+     * Every other word (seeded by verse and line, so it varies between lines) is hidden.
+     */
+    function blankWords(text, seed) {
+        return String(text).split(/\s+/).filter(Boolean).map((word, i) => ({
+            word,
+            hidden: (i + seed) % 2 === 1 && /[\p{L}\p{M}]/u.test(word)
+        }));
+    }
+
+    const Practice = {
+        GRADES,
+        NEW_PER_SESSION,
+        newCard,
+        review,
+        previewIntervals,
+        isDue,
+        deckStatus,
+        sessionQueue,
+        blankWords
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Practice;
+    } else {
+        root.Practice = Practice;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,48 @@
+/**
+ * READ ALOUD
+ * What to speak for a verse, and with which of the installed voices. The
+ * playback itself (Web Speech API, highlighting, continuous mode) is in app.js.
+ */
+(function (root) {
+    // Speech rates offered in the player
+    const RATES = [0.75, 1, 1.25, 1.5];
+
+    const voiceLang = voice => String(voice.lang || '').replace('_', '-').toLowerCase();
+
+    /**
+     * Best voice for a language ('kn', 'en'): the regional one ('kn-IN') first,
+     * then any voice of the language, preferring voices that work offline.
+     * null when none is installed.
+     */
+    function pickVoice(voices, language, region) {
+        const regional = `${language}-${region}`.toLowerCase();
+        const score = voice => (voiceLang(voice) === regional ? 2 : 0) + (voice.localService ? 1 : 0);
+        return (voices || [])
+            .filter(voice => voiceLang(voice).split('-')[0] === language)
+            .sort((a, b) => score(b) - score(a))[0] || null;
+    }
+
+    /**
+     * The lines to speak, in order: the Kannada original (only when there is
+     * a Kannada voice to read it), then the translation.
+     * [{ field, line (index in verse.lines), text, lang }]
+     */
+    function utterances(verse, { kannada }) {
+        const parts = [];
+        const add = (field, lang) => verse.lines.forEach((l, line) => {
+            const text = String(l[field] || '').trim();
+            if (text) parts.push({ field, line, text, lang });
+        });
+        if (kannada) add('kannada_original', 'kn');
+        add('english_translation', 'en');
+        return parts;
+    }
+
+    const ReadAloud = { RATES, pickVoice, utterances };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ReadAloud;
+    } else {
+        root.ReadAloud = ReadAloud;
+    }
+})(typeof self !== 'undefined' ? self : this);
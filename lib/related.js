@@ -0,0 +1,97 @@
+/**
+ * RELATED VERSES
+ * Verse similarity from TF-IDF over the English translation plus the overlap
+ * of (IDF-weighted) Kannada words. scripts/build-data.js runs this once per
+ * data build and ships the result as a small JSON file next to the chunks,
+ * so the detail page only has to look the answer up.
+ */
+(function (root) {
+    const SearchCore = root.SearchCore || require('./search-core');
+
+    const LIMIT = 5;
+    // Share of the score from the translation; the rest comes from the Kannada words
+    const TRANSLATION_WEIGHT = 0.65;
+    // Pairs scoring below this aren't worth showing as "related"
+    const MIN_SCORE = 0.05;
+
+    const STOPWORDS = new Set(('a an and are as at be but by do does for from has have he her his how i if in into is it its ' +
+        'me my no not of on or our she so that the their them then there they this to was we were what when where which ' +
+        'who whom why will with you your all am can did o oh one us thy thee thou').split(' '));
+
+    // Folded tokens of one field of a verse, without stopwords and one-letter words
+    function verseTokens(verse, field) {
+        return verse.lines
+            .flatMap(line => SearchCore.foldTokens(line[field]))
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Unit-length TF-IDF vectors (Map token -> weight) for a list of token lists.
+     * Words found in every document (e.g. the poet's signature line) weigh nothing.
+     */
+    function tfidfVectors(documents) {
+        const documentFrequency = new Map();
+        documents.forEach(tokens => {
+            new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        });
+        return documents.map(tokens => {
+            const counts = new Map();
+            tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+            const vector = new Map();
+            let norm = 0;
+            counts.forEach((count, token) => {
+                const weight = (1 + Math.log(count)) * Math.log(documents.length / documentFrequency.get(token));
+                if (weight > 0) {
+                    vector.set(token, weight);
+                    norm += weight * weight;
+                }
+            });
+            norm = Math.sqrt(norm);
+            vector.forEach((weight, token) => vector.set(token, weight / norm));
+            return vector;
+        });
+    }
+
+    function cosine(a, b) {
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let sum = 0;
+        small.forEach((weight, token) => {
+            const other = large.get(token);
+            if (other) sum += weight * other;
+        });
+        return sum;
+    }
+
+    /**
+     * Related verses for every verse in 'verses' (grouped: { id, lines }).
+     * Returns { verseId: [related ids, best first] }, at most 'limit' each;
+     * verses without text get no entry and are never suggested.
+     */
+    function computeRelated(verses, limit = LIMIT) {
+        const withText = verses.filter(v => verseTokens(v, 'english_translation').length || verseTokens(v, 'kannada_original').length);
+        const translation = tfidfVectors(withText.map(v => verseTokens(v, 'english_translation')));
+        const kannada = tfidfVectors(withText.map(v => verseTokens(v, 'kannada_original')));
+
+        const related = {};
+        withText.forEach((verse, i) => {
+            const scored = [];
+            withText.forEach((other, j) => {
+                if (i === j) return;
+                const score = TRANSLATION_WEIGHT * cosine(translation[i], translation[j])
+                    + (1 - TRANSLATION_WEIGHT) * cosine(kannada[i], kannada[j]);
+                if (score >= MIN_SCORE) scored.push([other.id, score]);
+            });
+            scored.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+            if (scored.length) related[verse.id] = scored.slice(0, limit).map(([id]) => id);
+        });
+        return related;
+    }
+
+    const Related = { LIMIT, computeRelated };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Related;
+    } else {
+        root.Related = Related;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,301 @@
+/**
+ * SEARCH CORE
+ * Text folding, tokenization, query parsing, the inverted index and ranking.
+ * Runs inside search-worker.js (importScripts) and, as a fallback and for
+ * highlighting, on the main thread.
+ */
+(function (root) {
+    const VerseData = root.VerseData || require('./verse-data');
+
+    // Indexed fields, in the order used by postings
+    const FIELDS = ['kannada', 'translit', 'translation', 'chapter'];
+    const FIELD_WEIGHTS = [1.0, 1.0, 0.8, 0.5];
+    const SOURCE_FIELDS = {
+        kannada: 'kannada_original',
+        translit: 'english_transliteration',
+        translation: 'english_translation'
+    };
+
+    // Score factor for a query term that only matches as a prefix ("nan" -> "nanenba")
+    const PREFIX_FACTOR = 0.6;
+    const PHRASE_BONUS = 2;
+    const VERSE_ID_BONUS = 10;
+
+    const TOKEN_RE = /[\p{L}\p{M}\p{N}]+/gu;
+
+    /**
+     * Fold a string for matching:
+     * - Unicode NFC, zero-width joiners removed (Kannada)
+     * - Latin diacritics stripped (IAST/ISO "Nānenba" -> "nanenba"), lowercased
+     * - doubled vowels and "sh" collapsed, so ASCII spellings ("naanu", "shiva")
+     *   meet the IAST ones ("nānu", "śiva")
+     */
+    function fold(text) {
+        return String(text || '')
+            .normalize('NFC')
+            .replace(/[\u200B-\u200D\uFEFF]/g, '')
+            .replace(/[A-Za-z\u00C0-\u024F\u1E00-\u1EFF]+/g, word => word
+                .normalize('NFD')
+                .replace(/[\u0300-\u036F]/g, '')
+                .toLowerCase()
+                .replace(/([aeiou])\1+/g, '$1')
+                .replace(/sh/g, 's'))
+            .toLowerCase();
+    }
+
+    // Split (unfolded) text into words: runs of letters, combining marks and digits
+    function tokenize(text) {
+        return String(text || '').normalize('NFC').match(TOKEN_RE) || [];
+    }
+
+    function foldTokens(text) {
+        return tokenize(fold(text));
+    }
+
+    /**
+     * Parse a query string into:
+     *   terms   : folded words that must all match (AND)
+     *   phrases : arrays of folded words that must appear next to each other
+     *   chapter : 'chapter:' filter (folded text matched from the start of a word of the name, or 1-based chapter number)
+     *   verse   : 'verse:' range filter { from, to }
+     */
+    function parseQuery(input) {
+        const query = { terms: [], phrases: [], chapter: null, verse: null };
+        const re = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+        let match;
+        while ((match = re.exec(String(input || ''))) !== null) {
+            const key = (match[1] || match[3] || '').toLowerCase();
+            const value = match[2] !== undefined ? match[2] : match[4];
+
+            if (key === 'chapter' && value) {
+                query.chapter = fold(value.replace(/_/g, ' ')).trim();
+            } else if (key === 'verse' && value) {
+                query.verse = parseRange(value);
+            } else if (match[5] !== undefined) {
+                const words = foldTokens(match[5]);
+                if (words.length > 1) query.phrases.push(words);
+                query.terms.push(...words);
+            } else {
+                query.terms.push(...foldTokens(match[0]));
+            }
+        }
+        query.terms = Array.from(new Set(query.terms));
+        return query;
+    }
+
+    // "12" | "10-20" | "10..20" | "1000-" | "-50"
+    function parseRange(value) {
+        const m = /^(\d*)\s*(?:-|\.\.)\s*(\d*)$/.exec(value);
+        if (m) {
+            return {
+                from: m[1] ? parseInt(m[1]) : -Infinity,
+                to: m[2] ? parseInt(m[2]) : Infinity
+            };
+        }
+        const n = parseInt(value);
+        return Number.isFinite(n) ? { from: n, to: n } : null;
+    }
+
+    function isEmptyQuery(query) {
+        return query.terms.length === 0 && !query.chapter && !query.verse;
+    }
+
+    /**
+     * Inverted index over verses.
+     * postings: term -> Map(verseId -> [count per field])
+     */
+    function createIndex() {
+        const postings = new Map();
+        const docs = new Map();     // verseId -> { chapter, fieldText: [folded token strings per field] }
+        let sortedTerms = null;     // Lazily rebuilt term list for prefix lookups
+
+        // Add raw line records (as in data/verse_N.0.json); verses may arrive in several batches
+        function addRecords(records) {
+            const byVerse = new Map();
+            records.forEach(record => {
+                const id = Math.floor(record.verse_number);
+                if (!byVerse.has(id)) byVerse.set(id, []);
+                byVerse.get(id).push(record);
+            });
+            byVerse.forEach((lines, id) => addVerse(id, lines));
+            sortedTerms = null;
+        }
+
+        function addVerse(id, lines) {
+            if (docs.has(id)) removeVerse(id);
+            lines.sort((a, b) => (a.line_number || 0) - (b.line_number || 0));
+
+            const chapter = VerseData.normalizeChapter(lines[0].chapter);
+            const fieldTokens = FIELDS.map(field => field === 'chapter'
+                ? foldTokens(chapter.replace(/_/g, ' '))
+                : lines.flatMap(line => foldTokens(line[SOURCE_FIELDS[field]])));
+
+            docs.set(id, { chapter, fieldText: fieldTokens.map(tokens => ` ${tokens.join(' ')} `) });
+
+            fieldTokens.forEach((tokens, fieldIndex) => {
+                tokens.forEach(term => {
+                    if (!postings.has(term)) postings.set(term, new Map());
+                    const perVerse = postings.get(term);
+                    if (!perVerse.has(id)) perVerse.set(id, FIELDS.map(() => 0));
+                    perVerse.get(id)[fieldIndex]++;
+                });
+            });
+        }
+
+        function removeVerse(id) {
+            postings.forEach((perVerse, term) => {
+                perVerse.delete(id);
+                if (perVerse.size === 0) postings.delete(term);
+            });
+            docs.delete(id);
+        }
+
+        // All indexed terms starting with 'prefix' (binary search in the sorted term list)
+        function termsWithPrefix(prefix) {
+            if (!sortedTerms) sortedTerms = Array.from(postings.keys()).sort();
+            let lo = 0;
+            let hi = sortedTerms.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sortedTerms[mid] < prefix) lo = mid + 1;
+                else hi = mid;
+            }
+            const result = [];
+            for (let i = lo; i < sortedTerms.length && sortedTerms[i].startsWith(prefix); i++) {
+                result.push(sortedTerms[i]);
+            }
+            return result;
+        }
+
+        // Chapters in reading order, for 'chapter:3'
+        function chapterOrder() {
+            const firstIds = new Map();
+            docs.forEach((doc, id) => {
+                if (!firstIds.has(doc.chapter) || id < firstIds.get(doc.chapter)) firstIds.set(doc.chapter, id);
+            });
+            return Array.from(firstIds.keys()).sort((a, b) => firstIds.get(a) - firstIds.get(b));
+        }
+
+        function matchesFilters(id, query, chapters) {
+            const doc = docs.get(id);
+            if (query.verse && (id < query.verse.from || id > query.verse.to)) return false;
+            if (query.chapter) {
+                if (/^\d+$/.test(query.chapter)) {
+                    return chapters[parseInt(query.chapter) - 1] === doc.chapter;
+                }
+                // From the start of a word: 'ನಗೆ' finds ನಗೆ..., not ಗುರುವೆನಗೆ
+                return ` ${fold(doc.chapter.replace(/_/g, ' '))}`.includes(` ${query.chapter}`);
+            }
+            return true;
+        }
+
+        /**
+         * Run a query string. Returns { results: [{ id, score }], terms } where
+         * results are ranked best first and 'terms' are the folded query words
+         * (for highlighting).
+         */
+        function search(input) {
+            const query = parseQuery(input);
+            if (isEmptyQuery(query)) return { results: [], terms: [] };
+
+            const total = docs.size || 1;
+            const chapters = query.chapter ? chapterOrder() : [];
+            let scores = null; // verseId -> score; null means "no term constraint yet"
+
+            query.terms.forEach(queryTerm => {
+                const termScores = new Map();
+
+                termsWithPrefix(queryTerm).forEach(term => {
+                    const perVerse = postings.get(term);
+                    const idf = Math.log(1 + total / perVerse.size);
+                    const factor = term === queryTerm ? 1 : PREFIX_FACTOR;
+                    perVerse.forEach((counts, id) => {
+                        let score = 0;
+                        counts.forEach((count, fieldIndex) => {
+                            if (count) score += FIELD_WEIGHTS[fieldIndex] * idf * (count / (count + 1));
+                        });
+                        termScores.set(id, Math.max(termScores.get(id) || 0, score * factor));
+                    });
+                });
+
+                // A bare number also matches the verse with that id
+                if (/^\d+$/.test(queryTerm) && docs.has(parseInt(queryTerm))) {
+                    const id = parseInt(queryTerm);
+                    termScores.set(id, (termScores.get(id) || 0) + VERSE_ID_BONUS);
+                }
+
+                // AND: keep only verses matching every term
+                if (scores === null) {
+                    scores = termScores;
+                } else {
+                    const next = new Map();
+                    termScores.forEach((score, id) => {
+                        if (scores.has(id)) next.set(id, scores.get(id) + score);
+                    });
+                    scores = next;
+                }
+            });
+
+            // Filter-only query ("chapter:3"): every verse is a candidate
+            if (scores === null) {
+                scores = new Map();
+                docs.forEach((doc, id) => scores.set(id, 0));
+            }
+
+            const results = [];
+            scores.forEach((score, id) => {
+                if (!matchesFilters(id, query, chapters)) return;
+
+                // Phrases must appear as consecutive words in one field
+                let finalScore = score;
+                for (const phrase of query.phrases) {
+                    const needle = ` ${phrase.join(' ')} `;
+                    if (!docs.get(id).fieldText.some(text => text.includes(needle))) return;
+                    finalScore += PHRASE_BONUS;
+                }
+                results.push({ id, score: finalScore });
+            });
+
+            results.sort((a, b) => b.score - a.score || a.id - b.id);
+            return { results, terms: query.terms };
+        }
+
+        return { addRecords, search, termsWithPrefix, get size() { return docs.size; } };
+    }
+
+    function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    }
+
+    /**
+     * Escape 'text' for HTML and wrap every word whose folded form starts with
+     * one of the (folded) query terms in <mark>.
+     */
+    function highlight(text, terms) {
+        const source = String(text || '').normalize('NFC');
+        if (!terms || terms.length === 0) return escapeHTML(source);
+
+        let html = '';
+        let last = 0;
+        source.replace(TOKEN_RE, (word, offset) => {
+            const folded = foldTokens(word).join('');
+            if (terms.some(term => folded.startsWith(term))) {
+                html += escapeHTML(source.slice(last, offset));
+                html += `<mark class="search-hit">${escapeHTML(word)}</mark>`;
+                last = offset + word.length;
+            }
+            return word;
+        });
+        return html + escapeHTML(source.slice(last));
+    }
+
+    const SearchCore = { FIELDS, fold, tokenize, foldTokens, parseQuery, createIndex, escapeHTML, highlight };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SearchCore;
+    } else {
+        root.SearchCore = SearchCore;
+    }
+})(typeof self !== 'undefined' ? self : this);
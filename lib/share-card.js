@@ -0,0 +1,144 @@
+/**
+ * SHARE CARD
+ * Draws a verse onto a <canvas> as an image for sharing: Kannada lines,
+ * optional translation, chapter, verse number and the app name, in one of
+ * a few themes and sizes.
+ */
+(function (root) {
+    const APP_NAME = 'ಮುದ್ದುರಾಮನ ಮನಸು';
+    const KANNADA_FONT = '"Noto Sans Kannada", sans-serif';
+    const LATIN_FONT = 'Inter, sans-serif';
+
+    const SIZES = [
+        { id: 'square', label: 'Square', width: 1080, height: 1080 },
+        { id: 'story', label: 'Story', width: 1080, height: 1920 }
+    ];
+
+    // background: [top, bottom] gradient stops
+    const THEMES = [
+        { id: 'paper', label: 'Paper', background: ['#FFFBF5', '#FDEBD8'], text: '#1F2937', muted: '#6B7280', accent: '#FF7F3F' },
+        { id: 'night', label: 'Night', background: ['#1E1E1E', '#121212'], text: '#E5E7EB', muted: '#9CA3AF', accent: '#FF7F3F' },
+        { id: 'saffron', label: 'Saffron', background: ['#FF7F3F', '#EF4444'], text: '#FFFFFF', muted: 'rgba(255,255,255,0.8)', accent: '#FFFFFF' }
+    ];
+
+    const byId = (list, id) => list.find(item => item.id === id) || list[0];
+
+    // Split text into lines no wider than maxWidth with the context's current font
+    function wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let line = '';
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    /**
+     * Lay out the verse at a given base font size.
+     * Returns { blocks: [{ font, color, lineHeight, lines, gapBefore }], height }.
+     */
+    function layout(ctx, verse, options, theme, fontSize, maxWidth) {
+        const blocks = [];
+
+        ctx.font = `500 ${fontSize}px ${KANNADA_FONT}`;
+        const kannadaLines = verse.lines
+            .map(l => l.kannada_original)
+            .filter(Boolean)
+            .flatMap(text => wrapText(ctx, text, maxWidth));
+        blocks.push({ font: ctx.font, color: theme.text, lineHeight: fontSize * 1.7, lines: kannadaLines, gapBefore: 0 });
+
+        const translation = verse.lines.map(l => l.english_translation).filter(Boolean).join(' ');
+        if (options.translation && translation) {
+            const size = Math.round(fontSize * 0.62);
+            ctx.font = `italic 400 ${size}px ${LATIN_FONT}`;
+            blocks.push({ font: ctx.font, color: theme.muted, lineHeight: size * 1.5, lines: wrapText(ctx, translation, maxWidth), gapBefore: fontSize * 1.2 });
+        }
+
+        const height = blocks.reduce((sum, b) => sum + b.gapBefore + b.lines.length * b.lineHeight, 0);
+        return { blocks, height };
+    }
+
+    /**
+     * Draw 'verse' ({ id, chapter, lines }) onto 'canvas'.
+     * options: { theme, size, translation (bool), chapterName, verseLabel }
+     */
+    function render(canvas, verse, options) {
+        const theme = byId(THEMES, options.theme);
+        const size = byId(SIZES, options.size);
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = size;
+        const pad = Math.round(width * 0.09);
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, height);
+        gradient.addColorStop(0, theme.background[0]);
+        gradient.addColorStop(1, theme.background[1]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Header: chapter name with an accent rule
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = theme.accent;
+        ctx.fillRect(pad, pad, 72, 6);
+        ctx.font = `700 ${Math.round(width * 0.03)}px ${KANNADA_FONT}`;
+        ctx.fillText(options.chapterName || '', pad, pad + 30, width - 2 * pad);
+
+        // Footer: verse number and app name
+        const footerSize = Math.round(width * 0.03);
+        const footerY = height - pad - footerSize;
+        ctx.fillStyle = theme.muted;
+        ctx.font = `700 ${footerSize}px ${LATIN_FONT}, ${KANNADA_FONT}`;
+        ctx.fillText(options.verseLabel || `Verse ${verse.id}`, pad, footerY);
+        ctx.textAlign = 'right';
+        ctx.font = `700 ${footerSize}px ${KANNADA_FONT}`;
+        ctx.fillText(APP_NAME, width - pad, footerY);
+
+        // Body: largest font (within limits) whose layout fits between header and footer
+        const top = pad + 30 + width * 0.08;
+        const bottom = footerY - width * 0.06;
+        const maxWidth = width - 2 * pad;
+        let fontSize = Math.round(width * (size.id === 'story' ? 0.062 : 0.052));
+        let body = layout(ctx, verse, options, theme, fontSize, maxWidth);
+        while (body.height > bottom - top && fontSize > 20) {
+            fontSize -= 2;
+            body = layout(ctx, verse, options, theme, fontSize, maxWidth);
+        }
+
+        ctx.textAlign = 'left';
+        let y = top + Math.max(0, (bottom - top - body.height) / 2);
+        body.blocks.forEach(block => {
+            y += block.gapBefore;
+            ctx.font = block.font;
+            ctx.fillStyle = block.color;
+            block.lines.forEach(line => {
+                ctx.fillText(line, pad, y);
+                y += block.lineHeight;
+            });
+        });
+        return canvas;
+    }
+
+    // PNG Blob of the canvas
+    function toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+        });
+    }
+
+    const ShareCard = { SIZES, THEMES, render, toBlob };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ShareCard;
+    } else {
+        root.ShareCard = ShareCard;
+    }
+})(typeof self !== 'undefined' ? self : this);
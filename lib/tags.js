@@ -0,0 +1,57 @@
+/**
+ * TAGS
+ * Thematic tags on verses ("courage", "parenting"). The reader's own tags are
+ * saved with the favorites (see lib/user-data.js); tags the data ships in the
+ * records' `tags` field are built in and can't be removed.
+ */
+(function (root) {
+    const MAX_LENGTH = 40;
+
+    // "  Inner   Peace " -> "inner peace": one spelling per tag ('' when empty)
+    function normalize(name) {
+        return String(name || '').replace(/\s+/g, ' ').trim().toLocaleLowerCase().slice(0, MAX_LENGTH).trim();
+    }
+
+    // Tags a verse has in the data: each line's `tags` is a list or a comma/semicolon separated string
+    function builtInTags(verse) {
+        const names = verse.lines.flatMap(line => Array.isArray(line.tags) ? line.tags : String(line.tags || '').split(/[,;]/));
+        return Array.from(new Set(names.map(normalize).filter(Boolean)));
+    }
+
+    // Built-in tags of a verse followed by the reader's own ('own': [names])
+    function verseTags(verse, own) {
+        return Array.from(new Set([...builtInTags(verse), ...(own || [])]));
+    }
+
+    /**
+     * Every tag in use, most used first: [{ name, count (verses), builtIn, own }].
+     * 'userTags' maps verse ids to the reader's tag names.
+     */
+    function summarize(verses, userTags) {
+        const tags = new Map();
+        const add = (name, id, kind) => {
+            if (!tags.has(name)) tags.set(name, { name, ids: new Set(), builtIn: false, own: false });
+            const tag = tags.get(name);
+            tag.ids.add(id);
+            tag[kind] = true;
+        };
+        verses.forEach(verse => builtInTags(verse).forEach(name => add(name, verse.id, 'builtIn')));
+        Object.entries(userTags).forEach(([id, names]) => names.forEach(name => add(name, Number(id), 'own')));
+        return Array.from(tags.values())
+            .map(({ ids, ...tag }) => ({ ...tag, count: ids.size }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    // Size step (0-4) of a tag in the cloud: log scale against the most used tag
+    function weight(count, max) {
+        return max > 1 ? Math.round(4 * Math.log(count) / Math.log(max)) : 0;
+    }
+
+    const Tags = { MAX_LENGTH, normalize, builtInTags, verseTags, summarize, weight };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Tags;
+    } else {
+        root.Tags = Tags;
+    }
+})(typeof self !== 'undefined' ? self : this);
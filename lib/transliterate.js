@@ -0,0 +1,242 @@
+/**
+ * KANNADA TRANSLITERATION
+ * Letter tables for the Kannada script, used both ways:
+ *   - fromLatin: phonetic input (Baraha / ITRANS style: "nAnu" -> ನಾನು) for the search boxes
+ *   - toScheme : Kannada -> ISO 15919, IAST, ITRANS, simple ASCII, Devanagari or Telugu
+ */
+(function (root) {
+    const VIRAMA = '್';
+    const ANUSVARA = 'ಂ';
+    const VISARGA = 'ಃ';
+
+    // Romanizations, in this order: ISO 15919, IAST, ITRANS, simplified ASCII
+    const ROMAN_SCHEMES = ['iso', 'iast', 'itrans', 'ascii'];
+    const roman = (iso, iast, itrans, ascii) => ({ iso, iast, itrans, ascii });
+
+    // Independent vowel, dependent sign (matra), romanizations and the Latin keys that type it
+    const VOWELS = [
+        { letter: 'ಅ', sign: '', roman: roman('a', 'a', 'a', 'a'), input: ['a'] },
+        { letter: 'ಆ', sign: 'ಾ', roman: roman('ā', 'ā', 'A', 'aa'), input: ['A', 'aa'] },
+        { letter: 'ಇ', sign: 'ಿ', roman: roman('i', 'i', 'i', 'i'), input: ['i'] },
+        { letter: 'ಈ', sign: 'ೀ', roman: roman('ī', 'ī', 'I', 'ee'), input: ['I', 'ii', 'ee'] },
+        { letter: 'ಉ', sign: 'ು', roman: roman('u', 'u', 'u', 'u'), input: ['u'] },
+        { letter: 'ಊ', sign: 'ೂ', roman: roman('ū', 'ū', 'U', 'oo'), input: ['U', 'uu', 'oo'] },
+        { letter: 'ಋ', sign: 'ೃ', roman: roman('r̥', 'ṛ', 'RRi', 'ru'), input: ['Ru', 'RRi', 'R^i'] },
+        { letter: 'ೠ', sign: 'ೄ', roman: roman('r̥̄', 'ṝ', 'RRI', 'ruu'), input: ['RU', 'RRI', 'R^I'] },
+        { letter: 'ಎ', sign: 'ೆ', roman: roman('e', 'e', 'e', 'e'), input: ['e'] },
+        { letter: 'ಏ', sign: 'ೇ', roman: roman('ē', 'ē', 'E', 'e'), input: ['E'] },
+        { letter: 'ಐ', sign: 'ೈ', roman: roman('ai', 'ai', 'ai', 'ai'), input: ['ai'] },
+        { letter: 'ಒ', sign: 'ೊ', roman: roman('o', 'o', 'o', 'o'), input: ['o'] },
+        { letter: 'ಓ', sign: 'ೋ', roman: roman('ō', 'ō', 'O', 'o'), input: ['O'] },
+        { letter: 'ಔ', sign: 'ೌ', roman: roman('au', 'au', 'au', 'au'), input: ['au', 'ou'] }
+    ];
+
+    // Consonants (with inherent 'a'), romanizations and the Latin keys that type them
+    const CONSONANTS = [
+        { letter: 'ಕ', roman: roman('k', 'k', 'k', 'k'), input: ['k'] },
+        { letter: 'ಖ', roman: roman('kh', 'kh', 'kh', 'kh'), input: ['kh'] },
+        { letter: 'ಗ', roman: roman('g', 'g', 'g', 'g'), input: ['g'] },
+        { letter: 'ಘ', roman: roman('gh', 'gh', 'gh', 'gh'), input: ['gh'] },
+        { letter: 'ಙ', roman: roman('ṅ', 'ṅ', '~N', 'n'), input: ['~N', '~g'] },
+        { letter: 'ಚ', roman: roman('c', 'c', 'ch', 'ch'), input: ['ch', 'c'] },
+        { letter: 'ಛ', roman: roman('ch', 'ch', 'Ch', 'chh'), input: ['Ch', 'chh'] },
+        { letter: 'ಜ', roman: roman('j', 'j', 'j', 'j'), input: ['j'] },
+        { letter: 'ಝ', roman: roman('jh', 'jh', 'jh', 'jh'), input: ['jh'] },
+        { letter: 'ಞ', roman: roman('ñ', 'ñ', '~n', 'n'), input: ['~n', '~j'] },
+        { letter: 'ಟ', roman: roman('ṭ', 'ṭ', 'T', 't'), input: ['T'] },
+        { letter: 'ಠ', roman: roman('ṭh', 'ṭh', 'Th', 'th'), input: ['Th'] },
+        { letter: 'ಡ', roman: roman('ḍ', 'ḍ', 'D', 'd'), input: ['D'] },
+        { letter: 'ಢ', roman: roman('ḍh', 'ḍh', 'Dh', 'dh'), input: ['Dh'] },
+        { letter: 'ಣ', roman: roman('ṇ', 'ṇ', 'N', 'n'), input: ['N'] },
+        { letter: 'ತ', roman: roman('t', 't', 't', 't'), input: ['t'] },
+        { letter: 'ಥ', roman: roman('th', 'th', 'th', 'th'), input: ['th'] },
+        { letter: 'ದ', roman: roman('d', 'd', 'd', 'd'), input: ['d'] },
+        { letter: 'ಧ', roman: roman('dh', 'dh', 'dh', 'dh'), input: ['dh'] },
+        { letter: 'ನ', roman: roman('n', 'n', 'n', 'n'), input: ['n'] },
+        { letter: 'ಪ', roman: roman('p', 'p', 'p', 'p'), input: ['p'] },
+        { letter: 'ಫ', roman: roman('ph', 'ph', 'ph', 'ph'), input: ['ph', 'f'] },
+        { letter: 'ಬ', roman: roman('b', 'b', 'b', 'b'), input: ['b'] },
+        { letter: 'ಭ', roman: roman('bh', 'bh', 'bh', 'bh'), input: ['bh'] },
+        { letter: 'ಮ', roman: roman('m', 'm', 'm', 'm'), input: ['m'] },
+        { letter: 'ಯ', roman: roman('y', 'y', 'y', 'y'), input: ['y'] },
+        { letter: 'ರ', roman: roman('r', 'r', 'r', 'r'), input: ['r'] },
+        { letter: 'ಱ', roman: roman('ṟ', 'ṟ', 'R', 'r'), input: [] },
+        { letter: 'ಲ', roman: roman('l', 'l', 'l', 'l'), input: ['l'] },
+        { letter: 'ವ', roman: roman('v', 'v', 'v', 'v'), input: ['v', 'w'] },
+        { letter: 'ಶ', roman: roman('ś', 'ś', 'sh', 'sh'), input: ['sh', 'S'] },
+        { letter: 'ಷ', roman: roman('ṣ', 'ṣ', 'Sh', 'sh'), input: ['Sh', 'shh'] },
+        { letter: 'ಸ', roman: roman('s', 's', 's', 's'), input: ['s'] },
+        { letter: 'ಹ', roman: roman('h', 'h', 'h', 'h'), input: ['h'] },
+        { letter: 'ಳ', roman: roman('ḷ', 'ḷ', 'L', 'l'), input: ['L'] },
+        { letter: 'ೞ', roman: roman('ḻ', 'ḻ', 'zh', 'zh'), input: [] },
+        // Conjuncts typed as one unit (romanized letter by letter)
+        { letter: 'ಕ್ಷ', input: ['x', 'ksh', 'kSh'] },
+        { letter: 'ಜ್ಞ', input: ['jn', 'j~n', 'GY'] }
+    ];
+
+    const MARKS = [
+        { letter: ANUSVARA, roman: roman('ṁ', 'ṃ', 'M', 'm'), input: ['M'] },
+        { letter: VISARGA, roman: roman('ḥ', 'ḥ', 'H', 'h'), input: ['H'] },
+        { letter: 'ಽ', roman: roman("'", "'", '.a', "'"), input: [] }
+    ];
+
+    // Latin key -> { type, entry }, tried longest key first
+    const INPUT_KEYS = new Map();
+    VOWELS.forEach(entry => entry.input.forEach(key => INPUT_KEYS.set(key, { type: 'vowel', entry })));
+    CONSONANTS.forEach(entry => entry.input.forEach(key => INPUT_KEYS.set(key, { type: 'consonant', entry })));
+    MARKS.forEach(entry => entry.input.forEach(key => INPUT_KEYS.set(key, { type: 'mark', entry })));
+    const MAX_KEY_LENGTH = Math.max(...Array.from(INPUT_KEYS.keys()).map(key => key.length));
+
+    // Separator to stop two keys from joining, e.g. "a_i" -> ಅಇ instead of ಐ
+    const SEPARATOR = '_';
+
+    /**
+     * Convert phonetic Latin input to Kannada script ("nAnu" -> ನಾನು).
+     * Keys are case-sensitive (t = ತ, T = ಟ). Anything that isn't a key
+     * (digits, punctuation, text already in Kannada) passes through.
+     * A consonant not followed by a vowel gets a virama ("naan" -> ನಾನ್).
+     */
+    function fromLatin(text) {
+        const source = String(text || '');
+        let out = '';
+        let afterConsonant = false;
+        let i = 0;
+
+        while (i < source.length) {
+            let match = null;
+            let length = Math.min(MAX_KEY_LENGTH, source.length - i);
+            for (; length > 0; length--) {
+                match = INPUT_KEYS.get(source.substr(i, length));
+                if (match) break;
+            }
+
+            if (!match) {
+                if (afterConsonant) out += VIRAMA;
+                afterConsonant = false;
+                if (source[i] !== SEPARATOR) out += source[i];
+                i++;
+                continue;
+            }
+
+            if (match.type === 'consonant') {
+                if (afterConsonant) out += VIRAMA;
+                out += match.entry.letter;
+                afterConsonant = true;
+            } else if (match.type === 'vowel') {
+                out += afterConsonant ? match.entry.sign : match.entry.letter;
+                afterConsonant = false;
+            } else {
+                out += match.entry.letter;
+                afterConsonant = false;
+            }
+            i += length;
+        }
+
+        if (afterConsonant) out += VIRAMA;
+        return out;
+    }
+
+    /**
+     * OUTPUT SCHEMES (Kannada -> other scripts/romanizations)
+     */
+    const SCHEMES = [
+        { id: 'iast', label: 'IAST' },
+        { id: 'iso', label: 'ISO 15919' },
+        { id: 'itrans', label: 'ITRANS' },
+        { id: 'ascii', label: 'Simple ASCII' },
+        { id: 'devanagari', label: 'देवनागरी (Devanagari)' },
+        { id: 'telugu', label: 'తెలుగు (Telugu)' }
+    ];
+
+    const NUKTA = '಼';
+    const ZERO_WIDTH = /[\u200B-\u200D\uFEFF]/g;
+    const KANNADA_DIGIT_ZERO = 0x0CE6;
+
+    const CONSONANT_BY_LETTER = new Map(CONSONANTS.filter(c => c.roman).map(c => [c.letter, c]));
+    const VOWEL_BY_LETTER = new Map(VOWELS.map(v => [v.letter, v]));
+    const VOWEL_BY_SIGN = new Map(VOWELS.filter(v => v.sign).map(v => [v.sign, v]));
+    const MARK_BY_LETTER = new Map(MARKS.map(m => [m.letter, m]));
+
+    // The Kannada, Telugu and Devanagari Unicode blocks share one layout; only these differ
+    const SCRIPT_OFFSETS = { devanagari: 0x0C80 - 0x0900, telugu: 0x0C80 - 0x0C00 };
+    const SCRIPT_EXCEPTIONS = {
+        devanagari: { 'ೞ': 'ऴ' },
+        telugu: { 'ೞ': 'ఴ' }
+    };
+
+    // Letter-for-letter conversion to another Brahmic script
+    function toScript(text, script) {
+        const offset = SCRIPT_OFFSETS[script];
+        const exceptions = SCRIPT_EXCEPTIONS[script];
+        return Array.from(String(text || '').normalize('NFC'), ch => {
+            if (exceptions[ch]) return exceptions[ch];
+            const code = ch.codePointAt(0);
+            return code >= 0x0C80 && code <= 0x0CFF ? String.fromCodePoint(code - offset) : ch;
+        }).join('');
+    }
+
+    // Romanize Kannada text: consonants carry an inherent 'a' unless followed by a vowel sign or virama
+    function toRoman(text, scheme) {
+        const source = String(text || '').normalize('NFC').replace(ZERO_WIDTH, '');
+        let out = '';
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            const consonant = CONSONANT_BY_LETTER.get(ch);
+
+            if (consonant) {
+                out += consonant.roman[scheme];
+                if (source[i + 1] === NUKTA) i++;
+                const next = source[i + 1];
+                if (next === VIRAMA) {
+                    i++;
+                } else if (VOWEL_BY_SIGN.has(next)) {
+                    out += VOWEL_BY_SIGN.get(next).roman[scheme];
+                    i++;
+                } else {
+                    out += VOWELS[0].roman[scheme];
+                }
+                continue;
+            }
+
+            const vowel = VOWEL_BY_LETTER.get(ch) || MARK_BY_LETTER.get(ch);
+            const code = ch.codePointAt(0);
+            if (vowel) {
+                out += vowel.roman[scheme];
+            } else if (code >= KANNADA_DIGIT_ZERO && code <= KANNADA_DIGIT_ZERO + 9) {
+                out += String(code - KANNADA_DIGIT_ZERO);
+            } else if (ch !== NUKTA && ch !== VIRAMA) {
+                out += ch;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Render Kannada text in one of SCHEMES ('iast', 'iso', 'itrans', 'ascii',
+     * 'devanagari', 'telugu'). Non-Kannada characters pass through.
+     */
+    function toScheme(text, scheme) {
+        if (SCRIPT_OFFSETS[scheme] !== undefined) return toScript(text, scheme);
+        if (ROMAN_SCHEMES.includes(scheme)) return toRoman(text, scheme);
+        throw new Error(`Unknown transliteration scheme: ${scheme}`);
+    }
+
+    const Transliterate = {
+        VOWELS,
+        CONSONANTS,
+        MARKS,
+        VIRAMA,
+        ANUSVARA,
+        VISARGA,
+        SCHEMES,
+        fromLatin,
+        toScheme
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Transliterate;
+    } else {
+        root.Transliterate = Transliterate;
+    }
+})(typeof self !== 'undefined' ? self : this);
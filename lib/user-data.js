@@ -0,0 +1,466 @@
+/**
+ * USER DATA
+ * Everything the reader creates or chooses (favorites, collections, tags, notes,
+ * settings, history, practice) lives in one versioned localStorage entry. This module owns its
+ * schema: loading with migrations, validation, backup files and merging.
+ *
+ * Schema (version 4):
+ *   {
+ *     version: 4,
+ *     favorites: [{ id, added (ms), collections: [names] }],
+ *     collections: [names],
+ *     tags: { verseId: [names] } (the reader's own, see lib/tags.js),
+ *     notes: { verseId: text },
+ *     favoritesView: { sort: 'added'|'verse'|'chapter', collection },
+ *     settings: { theme: 'dark'|'light'|null, phonetic, translit, reminder, practiceMode: 'lines'|'blanks',
+ *                 language: 'kn'|'en'|null (null: the browser's), numerals: 'latin'|'kannada',
+ *                 reading: { scale, leading, sections: { original, transliteration, translation }, layout: 'blocks'|'interleaved' },
+ *                 share: { theme, size, translation }, readAloud: { rate, continuous } },
+ *     history: { visits: [{ id, at (ms) }] newest first, read: [verseId], days: ['YYYY-MM-DD'] },
+ *     practice: { verseId: { reps, interval, ease, due: 'YYYY-MM-DD', lapses } } (see lib/practice.js)
+ *   }
+ */
+(function (root) {
+    const Tags = root.Tags || require('./tags');
+
+    const SCHEMA_VERSION = 4;
+    const STORAGE_KEY = 'mudduRamanaManasu_userData';
+    const BACKUP_APP_ID = 'mudduRamanaManasu';
+
+    // Loose keys written before the schema existed (version 0)
+    const LEGACY_KEYS = {
+        favs: 'mudduRamanaManasu_favs',           // [verseId], oldest first
+        favorites: 'mudduRamanaManasu_favorites', // { favorites, collections }
+        favView: 'mudduRamanaManasu_favView',
+        notes: 'mudduRamanaManasu_notes',
+        theme: 'mudduRamanaManasu_theme',
+        phonetic: 'mudduRamanaManasu_phonetic',   // 'on' | 'off'
+        translit: 'mudduRamanaManasu_translit'
+    };
+
+    const SORTS = ['added', 'verse', 'chapter'];
+
+    // Settings that are a choice ('group.key'), and numeric settings with their range
+    const SETTING_CHOICES = {
+        theme: ['dark', 'light', null],
+        practiceMode: ['lines', 'blanks'],
+        numerals: ['latin', 'kannada'],
+        'reading.layout': ['blocks', 'interleaved']
+    };
+    const SETTING_RANGES = {
+        'reading.scale': [0.85, 1.6],
+        'reading.leading': [1, 3],
+        'readAloud.rate': [0.5, 2]
+    };
+
+    // History limits: recently viewed verses and days kept for the streak
+    const MAX_VISITS = 100;
+    const MAX_DAYS = 400;
+
+    function emptyData() {
+        return {
+            version: SCHEMA_VERSION,
+            favorites: [],
+            collections: [],
+            tags: {},
+            notes: {},
+            favoritesView: { sort: 'added', collection: null },
+            settings: {
+                theme: null,
+                phonetic: false,
+                translit: null,
+                reminder: false,
+                practiceMode: 'lines',
+                language: null,
+                numerals: 'latin',
+                reading: {
+                    scale: 1,
+                    leading: 1.75,
+                    sections: { original: true, transliteration: true, translation: true },
+                    layout: 'blocks'
+                },
+                share: { theme: 'paper', size: 'square', translation: true },
+                readAloud: { rate: 1, continuous: false }
+            },
+            history: emptyHistory(),
+            practice: {}
+        };
+    }
+
+    function emptyHistory() {
+        return { visits: [], read: [], days: [] };
+    }
+
+    function parseJSON(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * MIGRATIONS[n] upgrades version n to n + 1.
+     * Version 0 is a snapshot of the loose legacy keys: { version: 0, keys: { name: raw string } }.
+     */
+    const MIGRATIONS = [
+        function fromLegacyKeys({ keys }) {
+            const data = emptyData();
+            data.version = 1;
+
+            const saved = parseJSON(keys.favorites);
+            const legacyIds = parseJSON(keys.favs);
+            if (saved && Array.isArray(saved.favorites)) {
+                data.favorites = saved.favorites;
+                data.collections = saved.collections || [];
+            } else if (Array.isArray(legacyIds)) {
+                // No dates were kept: space them a second apart to preserve the order they were added in
+                const now = Date.now();
+                data.favorites = legacyIds.map((id, i) => ({ id: Number(id), added: now - (legacyIds.length - i) * 1000, collections: [] }));
+            }
+
+            data.notes = parseJSON(keys.notes) || {};
+            data.favoritesView = { ...data.favoritesView, ...parseJSON(keys.favView) };
+            data.settings = {
+                theme: keys.theme === 'dark' || keys.theme === 'light' ? keys.theme : null,
+                phonetic: keys.phonetic === 'on',
+                translit: keys.translit || null
+            };
+            return data;
+        },
+        function addHistory(data) {
+            return { ...data, version: 2, history: emptyHistory() };
+        },
+        function addPractice(data) {
+            return { ...data, version: 3, practice: {} };
+        },
+        function addTags(data) {
+            return { ...data, version: 4, tags: {} };
+        }
+    ];
+
+    // Bring data of any older version up to SCHEMA_VERSION
+    function migrate(data) {
+        let current = data;
+        if (!Number.isInteger(current.version) || current.version < 0) {
+            throw new Error('Missing or invalid schema version');
+        }
+        if (current.version > SCHEMA_VERSION) {
+            throw new Error(`Made by a newer version of the app (schema ${current.version}); please update first`);
+        }
+        while (current.version < SCHEMA_VERSION) {
+            current = MIGRATIONS[current.version](current);
+        }
+        return current;
+    }
+
+    /**
+     * Check current-version data. Returns a list of problems (empty when valid).
+     */
+    function validate(data) {
+        const problems = [];
+        if (!data || typeof data !== 'object') return ['not an object'];
+        if (!Array.isArray(data.favorites)) {
+            problems.push('favorites is not a list');
+        } else {
+            data.favorites.forEach((f, i) => {
+                if (!f || !Number.isInteger(f.id) || f.id < 1) problems.push(`favorite #${i + 1} has no valid verse id`);
+                else if (!Number.isFinite(f.added)) problems.push(`favorite ${f.id} has no valid date`);
+                else if (!Array.isArray(f.collections) || f.collections.some(c => typeof c !== 'string')) {
+                    problems.push(`favorite ${f.id} has invalid collections`);
+                }
+            });
+        }
+        if (!Array.isArray(data.collections) || data.collections.some(c => typeof c !== 'string')) {
+            problems.push('collections is not a list of names');
+        }
+        if (!data.tags || typeof data.tags !== 'object' || Array.isArray(data.tags)) {
+            problems.push('tags is not an object');
+        } else if (Object.entries(data.tags).some(([id, names]) => !/^\d+$/.test(id) || !Array.isArray(names) || names.some(n => typeof n !== 'string'))) {
+            problems.push('tags must map verse ids to lists of names');
+        }
+        if (!data.notes || typeof data.notes !== 'object' || Array.isArray(data.notes)) {
+            problems.push('notes is not an object');
+        } else if (Object.entries(data.notes).some(([id, note]) => !/^\d+$/.test(id) || typeof note !== 'string')) {
+            problems.push('notes must map verse ids to text');
+        }
+        if (!data.settings || typeof data.settings !== 'object') problems.push('settings is missing');
+
+        const history = data.history;
+        if (!history || typeof history !== 'object') {
+            problems.push('history is missing');
+        } else if (!Array.isArray(history.visits) || history.visits.some(v => !v || !Number.isInteger(v.id) || !Number.isFinite(v.at))) {
+            problems.push('history has invalid visits');
+        } else if (!Array.isArray(history.read) || history.read.some(id => !Number.isInteger(id))) {
+            problems.push('history has invalid read verses');
+        } else if (!Array.isArray(history.days) || history.days.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+            problems.push('history has invalid days');
+        }
+
+        const isCard = card => card && Number.isInteger(card.reps) && Number.isFinite(card.interval)
+            && Number.isFinite(card.ease) && /^\d{4}-\d{2}-\d{2}$/.test(card.due);
+        if (!data.practice || typeof data.practice !== 'object' || Array.isArray(data.practice)) {
+            problems.push('practice is not an object');
+        } else if (Object.entries(data.practice).some(([id, card]) => !/^\d+$/.test(id) || !isCard(card))) {
+            problems.push('practice has invalid cards');
+        }
+        return problems;
+    }
+
+    /**
+     * Saved settings laid over the defaults field by field, nested groups
+     * (reading, share, readAloud) included. A missing, mistyped or out-of-range
+     * value gets its default, so a damaged backup can't break rendering.
+     */
+    function normalizeSettings(defaults, saved, prefix = '') {
+        const source = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        const clean = {};
+        Object.entries(defaults).forEach(([key, fallback]) => {
+            const path = prefix + key;
+            const value = source[key];
+            if (fallback && typeof fallback === 'object') {
+                clean[key] = normalizeSettings(fallback, value, `${path}.`);
+            } else if (SETTING_CHOICES[path]) {
+                clean[key] = SETTING_CHOICES[path].includes(value) ? value : fallback;
+            } else if (SETTING_RANGES[path]) {
+                const [min, max] = SETTING_RANGES[path];
+                clean[key] = Number.isFinite(value) && value >= min && value <= max ? value : fallback;
+            } else if (fallback === null) {
+                // Optional ids (language, translit): a string, or unset
+                clean[key] = typeof value === 'string' ? value : null;
+            } else {
+                clean[key] = typeof value === typeof fallback ? value : fallback;
+            }
+        });
+        return clean;
+    }
+
+    // Fill in defaults, drop duplicate favorites and list every collection a favorite uses
+    function normalize(data) {
+        const clean = emptyData();
+        const seen = new Set();
+        clean.favorites = data.favorites.filter(f => !seen.has(f.id) && seen.add(f.id))
+            .map(f => ({ id: f.id, added: f.added, collections: Array.from(new Set(f.collections)) }));
+        clean.collections = Array.from(new Set([
+            ...data.collections.map(c => c.trim()).filter(Boolean),
+            ...clean.favorites.flatMap(f => f.collections)
+        ]));
+        clean.tags = {};
+        Object.entries(data.tags).forEach(([id, names]) => {
+            // Spelled the way the app stores them ("Courage " -> "courage"), so a backup can't add look-alikes
+            const unique = Array.from(new Set(names.map(Tags.normalize).filter(Boolean)));
+            if (unique.length) clean.tags[id] = unique;
+        });
+        clean.notes = { ...data.notes };
+        clean.favoritesView = { ...clean.favoritesView, ...data.favoritesView };
+        if (!SORTS.includes(clean.favoritesView.sort)) clean.favoritesView.sort = 'added';
+        if (!clean.collections.includes(clean.favoritesView.collection)) clean.favoritesView.collection = null;
+        const defaults = clean.settings;
+        clean.settings = normalizeSettings(defaults, data.settings);
+        // At least one section of a verse stays visible
+        if (!Object.values(clean.settings.reading.sections).some(Boolean)) clean.settings.reading.sections = defaults.reading.sections;
+        clean.history = {
+            visits: data.history.visits.slice(0, MAX_VISITS).map(v => ({ id: v.id, at: v.at })),
+            read: Array.from(new Set(data.history.read)),
+            days: Array.from(new Set(data.history.days)).sort().slice(-MAX_DAYS)
+        };
+        clean.practice = {};
+        Object.entries(data.practice).forEach(([id, c]) => {
+            clean.practice[id] = { reps: c.reps, interval: c.interval, ease: c.ease, due: c.due, lapses: c.lapses || 0 };
+        });
+        return clean;
+    }
+
+    /**
+     * Read user data from 'storage' (localStorage). Legacy keys are migrated
+     * into the versioned entry on first load and then removed.
+     */
+    function load(storage) {
+        const raw = parseJSON(storage.getItem(STORAGE_KEY));
+        if (raw) {
+            try {
+                const data = migrate(raw);
+                if (validate(data).length === 0) return normalize(data);
+            } catch (error) {
+                console.warn('Ignoring unreadable user data', error);
+            }
+            // Keep the unreadable copy around rather than overwriting it on the next save
+            storage.setItem(`${STORAGE_KEY}_unreadable`, storage.getItem(STORAGE_KEY));
+            return emptyData();
+        }
+
+        const keys = {};
+        Object.entries(LEGACY_KEYS).forEach(([name, key]) => {
+            const value = storage.getItem(key);
+            if (value !== null) keys[name] = value;
+        });
+        if (Object.keys(keys).length === 0) return emptyData();
+
+        const data = normalize(migrate({ version: 0, keys }));
+        save(storage, data);
+        Object.values(LEGACY_KEYS).forEach(key => storage.removeItem(key));
+        return data;
+    }
+
+    function save(storage, data) {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ ...data, version: SCHEMA_VERSION }));
+    }
+
+    // JSON text for an "Export my data" file
+    function createBackup(data) {
+        return JSON.stringify({ app: BACKUP_APP_ID, exportedAt: new Date().toISOString(), ...data, version: SCHEMA_VERSION }, null, 2);
+    }
+
+    /**
+     * Parse an exported file. Returns normalized current-version data, or
+     * throws an Error whose message explains what is wrong with the file.
+     */
+    function parseBackup(text) {
+        const parsed = parseJSON(text);
+        if (!parsed || typeof parsed !== 'object') throw new Error('This file is not valid JSON.');
+        // Exports carry a version from 1 up; version 0 is only valid in the legacy shape with its keys
+        const legacy = parsed.version === 0 && parsed.keys && typeof parsed.keys === 'object';
+        if (parsed.app !== BACKUP_APP_ID || !(Number.isInteger(parsed.version) && parsed.version >= 1 || legacy)) {
+            throw new Error("This file isn't a backup from this app.");
+        }
+
+        const data = migrate(parsed);
+        const problems = validate(data);
+        if (problems.length) throw new Error(`The backup is damaged: ${problems.slice(0, 3).join('; ')}.`);
+        return normalize(data);
+    }
+
+    /**
+     * Merge a backup into the current data. Favorites, collections and tags
+     * are combined (keeping the earlier date); differing notes on the same verse
+     * are both kept; current settings win.
+     */
+    function mergeData(current, incoming) {
+        const merged = normalize(current);
+        const byId = new Map(merged.favorites.map(f => [f.id, f]));
+        incoming.favorites.forEach(f => {
+            const existing = byId.get(f.id);
+            if (!existing) {
+                const copy = { ...f, collections: f.collections.slice() };
+                merged.favorites.push(copy);
+                byId.set(f.id, copy);
+            } else {
+                existing.added = Math.min(existing.added, f.added);
+                existing.collections = Array.from(new Set([...existing.collections, ...f.collections]));
+            }
+        });
+        merged.collections = Array.from(new Set([...merged.collections, ...incoming.collections]));
+        Object.entries(incoming.tags).forEach(([id, names]) => {
+            merged.tags[id] = Array.from(new Set([...(merged.tags[id] || []), ...names]));
+        });
+
+        Object.entries(incoming.notes).forEach(([id, note]) => {
+            const mine = merged.notes[id];
+            if (!mine || note.includes(mine)) merged.notes[id] = note;
+            else if (!mine.includes(note)) merged.notes[id] = `${mine}\n\n${note}`;
+        });
+
+        // History: the latest visit per verse wins; read verses and reading days add up
+        const visits = new Map();
+        [...merged.history.visits, ...incoming.history.visits].forEach(v => {
+            if (!visits.has(v.id) || visits.get(v.id).at < v.at) visits.set(v.id, v);
+        });
+        merged.history = {
+            visits: Array.from(visits.values()).sort((a, b) => b.at - a.at).slice(0, MAX_VISITS),
+            read: Array.from(new Set([...merged.history.read, ...incoming.history.read])),
+            days: Array.from(new Set([...merged.history.days, ...incoming.history.days])).sort().slice(-MAX_DAYS)
+        };
+
+        // Practice: keep the card reviewed furthest along (more repetitions, then the later due date)
+        Object.entries(incoming.practice).forEach(([id, card]) => {
+            const mine = merged.practice[id];
+            if (!mine || card.reps > mine.reps || (card.reps === mine.reps && card.due > mine.due)) merged.practice[id] = { ...card };
+        });
+        return merged;
+    }
+
+    // 'YYYY-MM-DD' for the local calendar day of a date
+    function dayKey(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Record that verse 'id' was opened at 'date' (mutates and returns 'history'):
+     * it moves to the front of the visits, counts as read, and the day counts for the streak.
+     */
+    function recordVisit(history, id, date) {
+        history.visits = [{ id, at: date.getTime() }, ...history.visits.filter(v => v.id !== id)].slice(0, MAX_VISITS);
+        if (!history.read.includes(id)) history.read.push(id);
+        const today = dayKey(date);
+        if (!history.days.includes(today)) history.days = [...history.days, today].slice(-MAX_DAYS);
+        return history;
+    }
+
+    /**
+     * Consecutive reading days ending today, or yesterday when nothing has
+     * been read yet today (the streak isn't broken until the day is over).
+     */
+    function readingStreak(history, date) {
+        const days = new Set(history.days);
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (!days.has(dayKey(day))) day.setDate(day.getDate() - 1);
+        let streak = 0;
+        while (days.has(dayKey(day))) {
+            streak++;
+            day.setDate(day.getDate() - 1);
+        }
+        return streak;
+    }
+
+    /**
+     * What changed between two versions of the data, for the import summary:
+     * { favorites: { added, removed }, collections: { added, removed }, tags: { added, removed } (verse/tag pairs),
+     *   notes: { added, changed, removed }, read: { added }, practice: { added }, settingsChanged }
+     */
+    function summarizeChanges(before, after) {
+        const diff = (a, b) => a.filter(x => !b.includes(x)).length;
+        const favBefore = before.favorites.map(f => f.id);
+        const favAfter = after.favorites.map(f => f.id);
+        const notesBefore = Object.keys(before.notes);
+        const notesAfter = Object.keys(after.notes);
+        const tagPairs = data => Object.entries(data.tags).flatMap(([id, names]) => names.map(name => `${id}\n${name}`));
+        return {
+            favorites: { added: diff(favAfter, favBefore), removed: diff(favBefore, favAfter) },
+            collections: { added: diff(after.collections, before.collections), removed: diff(before.collections, after.collections) },
+            tags: { added: diff(tagPairs(after), tagPairs(before)), removed: diff(tagPairs(before), tagPairs(after)) },
+            notes: {
+                added: diff(notesAfter, notesBefore),
+                changed: notesAfter.filter(id => id in before.notes && before.notes[id] !== after.notes[id]).length,
+                removed: diff(notesBefore, notesAfter)
+            },
+            read: { added: diff(after.history.read, before.history.read) },
+            practice: { added: diff(Object.keys(after.practice), Object.keys(before.practice)) },
+            settingsChanged: JSON.stringify(before.settings) !== JSON.stringify(after.settings)
+        };
+    }
+
+    const UserData = {
+        SCHEMA_VERSION,
+        STORAGE_KEY,
+        emptyData,
+        migrate,
+        validate,
+        load,
+        save,
+        createBackup,
+        parseBackup,
+        mergeData,
+        summarizeChanges,
+        emptyHistory,
+        recordVisit,
+        readingStreak,
+        dayKey
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = UserData;
+    } else {
+        root.UserData = UserData;
+    }
+})(typeof self !== 'undefined' ? self : this);
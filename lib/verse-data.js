@@ -0,0 +1,158 @@
+/**
+ * VERSE DATA HELPERS
+ * Shared between the browser (loaded as a plain <script>) and the Node
+ * build scripts in /scripts (loaded with require), so both group the raw
+ * line records exactly the same way.
+ */
+(function (root) {
+    /**
+     * Normalize a chapter string so spelling variants group together:
+     * Unicode NFC, no zero-width characters, spaces/underscores collapsed to one '_'.
+     */
+    function normalizeChapter(chapter) {
+        return String(chapter || '')
+            .normalize('NFC')
+            .replace(/[\u200B-\u200D\uFEFF]/g, '')
+            .replace(/[\s_]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    // Display form of a chapter name: underscores become spaces
+    function formatChapterName(chapter) {
+        return normalizeChapter(chapter).replace(/_/g, ' ');
+    }
+
+    /**
+     * Summarize chapters from a list of { id, chapter } entries, in reading order
+     * (by first verse): [{ name, count, first, last }].
+     */
+    function summarizeChapters(verses) {
+        const byName = new Map();
+        verses.forEach(({ id, chapter }) => {
+            const name = normalizeChapter(chapter);
+            const entry = byName.get(name);
+            if (!entry) {
+                byName.set(name, { name, count: 1, first: id, last: id });
+            } else {
+                entry.count++;
+                entry.first = Math.min(entry.first, id);
+                entry.last = Math.max(entry.last, id);
+            }
+        });
+        return Array.from(byName.values()).sort((a, b) => a.first - b.first);
+    }
+
+    /**
+     * Group raw line records (one per line, as stored in data/verse_N.0.json)
+     * into verse objects: { id, chapter, lines }.
+     * Lines are sorted by line_number and verses by id.
+     */
+    function groupVerses(records) {
+        const grouped = {};
+        records.forEach(record => {
+            // Note: The original JSON data structure uses 'verse_number' which is often a float (1.0)
+            // Using Math.floor ensures we get a clean integer ID for the app logic
+            const vNum = Math.floor(record.verse_number);
+            if (!grouped[vNum]) {
+                grouped[vNum] = {
+                    id: vNum,
+                    chapter: normalizeChapter(record.chapter),
+                    lines: []
+                };
+            }
+            grouped[vNum].lines.push(record);
+        });
+
+        return Object.values(grouped).map(verse => {
+            verse.lines.sort((a, b) => (a.line_number || 0) - (b.line_number || 0));
+            return verse;
+        }).sort((a, b) => a.id - b.id);
+    }
+
+    const TEXT_FIELDS = ['kannada_original', 'english_transliteration', 'english_translation'];
+
+    // True for a grouped verse whose lines are all empty (text still to be added)
+    function isPlaceholder(verse) {
+        return verse.lines.every(line => TEXT_FIELDS.every(field => !String(line[field] || '').trim()));
+    }
+
+    // Fixed seed for the Verse of the Day order; changing it reshuffles every day's pick
+    const DAILY_SEED = 0x6d726d;
+
+    /**
+     * Verse of the Day for a (local) calendar date, from data/manifest.json.
+     * Days walk through one fixed shuffle of the verses, so everyone sees the
+     * same verse and none comes back until all have been shown.
+     * Placeholder verses are skipped. Returns null for an empty manifest.
+     */
+    function dailyVerseId(manifest, date) {
+        const placeholders = new Set(manifest.placeholders || []);
+        const ids = manifest.verses.map(([id]) => id).filter(id => !placeholders.has(id));
+        if (ids.length === 0) return null;
+        const day = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+        return seededShuffle(ids, DAILY_SEED)[day % ids.length];
+    }
+
+    // Fisher-Yates with a small deterministic PRNG (mulberry32)
+    function seededShuffle(items, seed) {
+        const result = items.slice();
+        let t = seed;
+        const random = () => {
+            t = (t + 0x6D2B79F5) | 0;
+            let r = Math.imul(t ^ (t >>> 15), 1 | t);
+            r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Check the shape of one raw line record.
+     * Returns a list of problems (empty when the record is usable).
+     * Empty text fields are allowed: some verses are placeholders.
+     */
+    function validateRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return ['not an object'];
+
+        const problems = [];
+        if (!Number.isFinite(record.verse_number) || record.verse_number < 1) problems.push('invalid verse_number');
+        if (!Number.isFinite(record.line_number)) problems.push('invalid line_number');
+        if (typeof record.chapter !== 'string' || !record.chapter.trim()) problems.push('missing chapter');
+        TEXT_FIELDS.forEach(field => {
+            if (typeof record[field] !== 'string') problems.push(`missing ${field}`);
+        });
+        return problems;
+    }
+
+    /**
+     * Merge newly grouped verses into an already sorted verse list.
+     * Verses with the same id are replaced by the incoming copy.
+     */
+    function mergeVerses(existing, incoming) {
+        const byId = new Map(existing.map(v => [v.id, v]));
+        incoming.forEach(v => byId.set(v.id, v));
+        return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+    }
+
+    const VerseData = {
+        TEXT_FIELDS,
+        validateRecord,
+        normalizeChapter,
+        formatChapterName,
+        summarizeChapters,
+        groupVerses,
+        mergeVerses,
+        isPlaceholder,
+        dailyVerseId
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VerseData;
+    } else {
+        root.VerseData = VerseData;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,242 @@
+/**
+ * VERSE EXPORT
+ * Markdown and EPUB 3 files for a selection of verses, built entirely in the
+ * browser. Both take the same document:
+ *   { title, subtitle, verses: [{ id, chapter, sections: [{ label, lang, lines: [text] }] }] }
+ * where 'sections' holds the text fields the reader chose to include.
+ */
+(function (root) {
+    /**
+     * MARKDOWN
+     */
+    function toMarkdown(doc) {
+        const out = [`# ${doc.title}`, ''];
+        if (doc.subtitle) out.push(`_${doc.subtitle}_`, '');
+        let chapter = null;
+        doc.verses.forEach(verse => {
+            if (verse.chapter !== chapter) {
+                chapter = verse.chapter;
+                out.push(`## ${chapter}`, '');
+            }
+            out.push(`### ${verse.id}`, '');
+            verse.sections.forEach(section => {
+                if (verse.sections.length > 1) out.push(`**${section.label}**`, '');
+                // Trailing double space: a line break within the paragraph
+                out.push(section.lines.map(line => `${escapeMarkdown(line)}  `).join('\n'), '');
+            });
+        });
+        return out.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+    }
+
+    // Keep verse text from being read as Markdown syntax (lists, emphasis, headings)
+    function escapeMarkdown(text) {
+        return String(text).trim()
+            .replace(/([\\`*_[\]#|<>])/g, '\\$1')
+            .replace(/^(\d+)\./, '$1\\.')
+            .replace(/^([-+])(\s)/, '\\$1$2');
+    }
+
+    /**
+     * EPUB 3: a single XHTML document with a chapter-level table of contents,
+     * zipped with the uncompressed 'mimetype' entry first as the format requires.
+     * Returns the file as a Uint8Array.
+     */
+    function toEpub(doc, options = {}) {
+        const modified = (options.date || new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+        const identifier = options.identifier || `urn:uuid:${uuid()}`;
+        const chapters = [];
+        doc.verses.forEach(verse => {
+            if (!chapters.length || chapters[chapters.length - 1].name !== verse.chapter) {
+                chapters.push({ name: verse.chapter, anchor: `chapter-${chapters.length + 1}`, verses: [] });
+            }
+            chapters[chapters.length - 1].verses.push(verse);
+        });
+
+        const xhtml = (title, body, extraNs = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml"${extraNs} xml:lang="kn" lang="kn">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXML(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+        const text = xhtml(doc.title, [
+            `<h1>${escapeXML(doc.title)}</h1>`,
+            doc.subtitle ? `<p class="subtitle">${escapeXML(doc.subtitle)}</p>` : '',
+            ...chapters.map(chapter => `<section id="${chapter.anchor}">
+<h2>${escapeXML(chapter.name)}</h2>
+${chapter.verses.map(verse => `<div class="verse" id="verse-${verse.id}">
+<h3>${verse.id}</h3>
+${verse.sections.map(section => `<p class="${section.lang === 'kn' ? 'original' : 'secondary'}" lang="${section.lang}">${section.lines.map(escapeXML).join('<br/>')}</p>`).join('\n')}
+</div>`).join('\n')}
+</section>`)
+        ].filter(Boolean).join('\n'));
+
+        const nav = xhtml('Contents', `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${chapters.map(c => `<li><a href="text.xhtml#${c.anchor}">${escapeXML(c.name)}</a></li>`).join('\n')}
+</ol>
+</nav>`, ' xmlns:epub="http://www.idpf.org/2007/ops"');
+
+        const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="kn">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXML(identifier)}</dc:identifier>
+<dc:title>${escapeXML(doc.title)}</dc:title>
+<dc:language>kn</dc:language>
+<dc:language>en</dc:language>
+${options.creator ? `<dc:creator>${escapeXML(options.creator)}</dc:creator>` : ''}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="text" href="text.xhtml" media-type="application/xhtml+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+</manifest>
+<spine>
+<itemref idref="text"/>
+</spine>
+</package>
+`;
+
+        const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+        const css = `body { font-family: "Noto Sans Kannada", sans-serif; line-height: 1.6; }
+h1 { font-size: 1.6em; }
+h2 { font-size: 1.3em; margin-top: 2em; }
+h3 { font-size: 0.9em; color: #FF7F3F; margin-bottom: 0.3em; }
+.subtitle { color: #6B7280; }
+.verse { margin-bottom: 1.5em; page-break-inside: avoid; }
+.original { font-size: 1.1em; }
+.secondary { font-family: sans-serif; color: #4B5563; }
+`;
+
+        return createZip([
+            { name: 'mimetype', data: 'application/epub+zip' },
+            { name: 'META-INF/container.xml', data: container },
+            { name: 'OEBPS/content.opf', data: opf },
+            { name: 'OEBPS/nav.xhtml', data: nav },
+            { name: 'OEBPS/text.xhtml', data: text },
+            { name: 'OEBPS/style.css', data: css }
+        ]);
+    }
+
+    function escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function uuid() {
+        const bytes = new Uint8Array(16);
+        for (let i = 0; i < 16; i++) bytes[i] = Math.floor(Math.random() * 256);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * ZIP (stored entries only: the files are small and EPUB readers don't mind)
+     */
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // files: [{ name, data (string) }] -> Uint8Array
+    function createZip(files) {
+        const encoder = new TextEncoder();
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.data);
+            const crc = crc32(data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);  // Local file header signature
+            header.setUint16(4, 20, true);          // Version needed (2.0)
+            header.setUint16(6, 0x0800, true);      // Flags: UTF-8 names
+            header.setUint16(8, 0, true);           // Method: stored
+            header.setUint16(10, 0, true);          // Time
+            header.setUint16(12, 0x21, true);       // Date: 1980-01-01
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            local.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);   // Central directory signature
+            entry.setUint16(4, 20, true);           // Version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, 0, true);
+            entry.setUint16(14, 0x21, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);      // Offset of the local header
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    const VerseExport = { toMarkdown, toEpub, createZip };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = VerseExport;
+    } else {
+        root.VerseExport = VerseExport;
+    }
+})(typeof self !== 'undefined' ? self : this);
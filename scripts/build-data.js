@@ -0,0 +1,147 @@
+/**
+ * DATA BUNDLER
+ * Reads every data/verse_N.0.json file and writes:
+ *   - data/chunks/verses-<n>-<hash>.json : the raw line records, bundled into a few files
+ *   - data/chunks/related-<hash>.json    : related verses for each verse (see lib/related.js)
+ *   - data/manifest.json                 : verse IDs, chapters, line counts, placeholders, rejected verses and content hashes
+ *
+ * The app reads the manifest first, renders from the first (small) chunk and
+ * streams in the rest. The output is git-ignored: the deploy workflow builds it
+ * from the verse files on every push, and a local checkout needs a run of
+ * (again after adding or editing a verse file):
+ *
+ *     node scripts/build-data.js
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { groupVerses, validateRecord, isPlaceholder } = require('../lib/verse-data');
+const { computeRelated } = require('../lib/related');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CHUNK_DIR = path.join(DATA_DIR, 'chunks');
+
+// The first chunk is kept small so the first screen renders quickly on slow links
+const FIRST_CHUNK_SIZE = 50;
+const CHUNK_SIZE = 300;
+
+const MANIFEST_VERSION = 4;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Broken files and bad records are left out, so one typo doesn't block a deploy,
+ * but not silently: 'invalid' ([{ id, reason }], one per verse) goes into the
+ * manifest and the app reports those verses like ones that failed to load.
+ * Also used by scripts/build-pages.js.
+ */
+function readVerseFiles() {
+    const files = fs.readdirSync(DATA_DIR).filter(f => /^verse_\d+(\.0)?\.json$/.test(f));
+    const records = [];
+    const reasons = new Map(); // verseId -> [reason]
+    const reject = (id, reason) => reasons.set(id, [...(reasons.get(id) || []), reason]);
+
+    files.forEach(file => {
+        const fileId = parseInt(file.slice('verse_'.length));
+        let lines;
+        try {
+            lines = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+        } catch (error) {
+            console.warn(`Skipping ${file}: ${error.message}`);
+            reject(fileId, `Broken file: ${error.message}`);
+            return;
+        }
+        if (!Array.isArray(lines)) {
+            console.warn(`Skipping ${file}: not a list of lines`);
+            reject(fileId, 'File is not a list of lines');
+            return;
+        }
+        lines.forEach((record, i) => {
+            const problems = validateRecord(record);
+            if (problems.length > 0) {
+                console.warn(`Skipping line ${i + 1} of ${file}: ${problems.join(', ')}`);
+                // Same wording as the app's own check (addVerseRecords in app.js)
+                const id = record && Number.isFinite(record.verse_number) ? Math.floor(record.verse_number) : fileId;
+                reject(id, `Bad record: ${problems.join(', ')}`);
+                return;
+            }
+            records.push(record);
+        });
+    });
+
+    const invalid = Array.from(reasons, ([id, list]) => ({ id, reason: Array.from(new Set(list)).join('; ') }))
+        .sort((a, b) => a.id - b.id);
+    return { files, records, invalid };
+}
+
+function splitIntoChunks(verses) {
+    const chunks = [];
+    let start = 0;
+    while (start < verses.length) {
+        const size = chunks.length === 0 ? FIRST_CHUNK_SIZE : CHUNK_SIZE;
+        chunks.push(verses.slice(start, start + size));
+        start += size;
+    }
+    return chunks;
+}
+
+function build() {
+    const { files, records, invalid } = readVerseFiles();
+    const verses = groupVerses(records);
+
+    // Start from a clean chunk folder so stale hashed files don't linger
+    fs.rmSync(CHUNK_DIR, { recursive: true, force: true });
+    fs.mkdirSync(CHUNK_DIR, { recursive: true });
+
+    const chunks = splitIntoChunks(verses).map((chunkVerses, index) => {
+        const lines = chunkVerses.flatMap(v => v.lines);
+        const body = JSON.stringify(lines);
+        const hash = sha256(body).slice(0, 12);
+        const file = `chunks/verses-${index}-${hash}.json`;
+        fs.writeFileSync(path.join(DATA_DIR, file), body);
+        return {
+            file,
+            hash,
+            from: chunkVerses[0].id,
+            to: chunkVerses[chunkVerses.length - 1].id,
+            verseCount: chunkVerses.length,
+            bytes: Buffer.byteLength(body)
+        };
+    });
+
+    // Similarity is computed here once, so opening a verse in the app stays instant
+    const relatedBody = JSON.stringify(computeRelated(verses));
+    const relatedHash = sha256(relatedBody).slice(0, 12);
+    const related = { file: `chunks/related-${relatedHash}.json`, hash: relatedHash, bytes: Buffer.byteLength(relatedBody) };
+    fs.writeFileSync(path.join(DATA_DIR, related.file), relatedBody);
+
+    const chapters = Array.from(new Set(verses.map(v => v.chapter)));
+    const manifest = {
+        version: MANIFEST_VERSION,
+        // One hash for the whole corpus: changes whenever any chunk, the related list (or the manifest format) changes
+        hash: sha256(MANIFEST_VERSION + chunks.map(c => c.hash).join('') + related.hash + JSON.stringify(invalid)).slice(0, 12),
+        verseCount: verses.length,
+        lineCount: records.length,
+        chapters,
+        // Compact per-verse index: [id, chapter index, line count]
+        verses: verses.map(v => [v.id, chapters.indexOf(v.chapter), v.lines.length]),
+        // Verses without any text yet (skipped by Verse of the Day and "Surprise me")
+        placeholders: verses.filter(isPlaceholder).map(v => v.id),
+        // Verses whose file or records failed validation: [{ id, reason }] (see readVerseFiles)
+        invalid,
+        chunks,
+        related
+    };
+
+    fs.writeFileSync(path.join(DATA_DIR, 'manifest.json'), JSON.stringify(manifest) + '\n');
+
+    console.log(`Bundled ${files.length} files (${records.length} lines, ${verses.length} verses) into ${chunks.length} chunks.`);
+    if (invalid.length) console.warn(`${invalid.length} verses have problems and are reported in the app: ${invalid.map(v => v.id).join(', ')}`);
+    console.log(`Manifest hash: ${manifest.hash}`);
+}
+
+if (require.main === module) build();
+
+module.exports = { readVerseFiles };
@@ -0,0 +1,140 @@
+/**
+ * STATIC VERSE PAGES
+ * Writes a pre-rendered copy of index.html for every verse, so shared links
+ * get a title, description and preview image, and search engines have text
+ * to index:
+ *   - verse/<id>/index.html : the app shell with the verse filled in, plus Open Graph/Twitter tags
+ *   - sitemap.xml           : the home page and every verse page (submit it to search engines)
+ *
+ * Verses are read and grouped like the app does (see scripts/build-data.js).
+ * The pages load the normal app, which moves them to #verse/<id>. The deploy
+ * workflow builds them on every push (the output is git-ignored); to try them
+ * locally, run it with the address the site is served from:
+ *
+ *     node scripts/build-pages.js https://example.github.io/mudduRamanaManasu/
+ */
+const fs = require('fs');
+const path = require('path');
+const { groupVerses, isPlaceholder, formatChapterName } = require('../lib/verse-data');
+const { escapeHTML } = require('../lib/search-core');
+const { readVerseFiles } = require('./build-data');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PAGES_DIR = path.join(ROOT_DIR, 'verse');
+
+const APP_NAME = 'ಮುದ್ದುರಾಮನ ಮನಸು';
+const DESCRIPTION_LENGTH = 200;
+
+// Absolute address of the site (og:url, og:image and the sitemap need one), with a trailing slash
+function siteUrl() {
+    const url = process.argv[2] || process.env.SITE_URL;
+    if (!url) {
+        console.error('Usage: node scripts/build-pages.js <site url>   (or set SITE_URL)');
+        process.exit(1);
+    }
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+// Replace exactly one occurrence, so a change to index.html fails the build instead of emitting broken pages
+function replaceOnce(html, search, replacement) {
+    const index = html.indexOf(search);
+    if (index === -1 || html.indexOf(search, index + 1) !== -1) {
+        throw new Error(`index.html: expected exactly one ${JSON.stringify(search.trim().slice(0, 40))}`);
+    }
+    return html.slice(0, index) + replacement + html.slice(index + search.length);
+}
+
+function metaTags(verse, url, baseUrl) {
+    const kannada = verse.lines.map(l => l.kannada_original).filter(Boolean);
+    const translation = verse.lines.map(l => l.english_translation).filter(Boolean).join(' ');
+    const title = `Verse ${verse.id} · ${formatChapterName(verse.chapter)} | ${APP_NAME}`;
+    const text = [kannada.join(' / '), translation].filter(Boolean).join(' — ').replace(/\s+/g, ' ');
+    const description = truncate(text, DESCRIPTION_LENGTH);
+    const image = `${baseUrl}icon-512.png`;
+    const tag = (attr, name, content) => `      <meta ${attr}="${name}" content="${escapeHTML(content)}">`;
+    return [
+        `      <title>${escapeHTML(title)}</title>`,
+        tag('name', 'description', description),
+        `      <link rel="canonical" href="${escapeHTML(url)}">`,
+        tag('property', 'og:type', 'article'),
+        tag('property', 'og:site_name', APP_NAME),
+        tag('property', 'og:locale', 'kn_IN'),
+        tag('property', 'og:title', title),
+        tag('property', 'og:description', description),
+        tag('property', 'og:url', url),
+        tag('property', 'og:image', image),
+        tag('name', 'twitter:card', 'summary'),
+        tag('name', 'twitter:title', title),
+        tag('name', 'twitter:description', description),
+        tag('name', 'twitter:image', image)
+    ].join('\n');
+}
+
+// The verse as plain markup in place of the loading spinner; the app re-renders it once loaded
+function verseMarkup(verse) {
+    const block = (field, lang, className) => {
+        const lines = verse.lines.map(l => l[field]).filter(Boolean);
+        return lines.length
+            ? `            <p class="${className}" lang="${lang}">${lines.map(escapeHTML).join('<br>')}</p>`
+            : '';
+    };
+    return `
+         <article class="bg-white dark:bg-mudduRamanaManasu-darkCard rounded-2xl shadow-lg border border-gray-100 dark:border-gray-800 p-6 space-y-6">
+            <header>
+               <p class="text-xs font-bold text-mudduRamanaManasu-orange uppercase tracking-wider">Verse ${verse.id}</p>
+               <h1 class="text-lg font-bold text-gray-800 dark:text-gray-100 font-kannada" lang="kn">${escapeHTML(formatChapterName(verse.chapter))}</h1>
+            </header>
+${[
+        block('kannada_original', 'kn', 'font-kannada reading-original text-gray-900 dark:text-gray-100'),
+        block('english_transliteration', 'kn-Latn', 'font-sans reading-secondary italic text-gray-600 dark:text-gray-400'),
+        block('english_translation', 'en', 'font-sans reading-secondary text-gray-700 dark:text-gray-300')
+    ].filter(Boolean).join('\n')}
+         </article>
+`;
+}
+
+function renderPage(template, verse, baseUrl) {
+    const url = `${baseUrl}verse/${verse.id}/`;
+    let html = template;
+    // Two folders down: scripts, styles, data and sw.js resolve against the site root
+    html = replaceOnce(html, '<head>\n', '<head>\n      <base href="../../">\n');
+    html = replaceOnce(html, `      <title>${APP_NAME}</title>`, metaTags(verse, url, baseUrl));
+    const main = /(<main id="app-container"[^>]*>)[\s\S]*?(\s*<\/main>)/;
+    if (!main.test(html)) throw new Error('index.html: expected <main id="app-container">');
+    return html.replace(main, (match, open, close) => open + verseMarkup(verse).trimEnd() + close);
+}
+
+function sitemap(baseUrl, verses) {
+    const urls = [baseUrl, ...verses.map(v => `${baseUrl}verse/${v.id}/`)];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url><loc>${escapeHTML(url)}</loc></url>`).join('\n')}
+</urlset>
+`;
+}
+
+function build() {
+    const baseUrl = siteUrl();
+    const template = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8').replace(/\r\n/g, '\n');
+    const { records } = readVerseFiles();
+    // Verses without text yet get no page (and stay out of the sitemap)
+    const verses = groupVerses(records).filter(v => !isPlaceholder(v));
+
+    // Start from a clean folder so pages of removed verses don't linger
+    fs.rmSync(PAGES_DIR, { recursive: true, force: true });
+    verses.forEach(verse => {
+        const dir = path.join(PAGES_DIR, String(verse.id));
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'index.html'), renderPage(template, verse, baseUrl));
+    });
+
+    fs.writeFileSync(path.join(ROOT_DIR, 'sitemap.xml'), sitemap(baseUrl, verses));
+
+    console.log(`Wrote ${verses.length} verse pages and a sitemap for ${baseUrl}`);
+}
+
+build();
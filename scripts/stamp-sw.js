@@ -0,0 +1,36 @@
+/**
+ * SERVICE WORKER VERSION STAMP
+ * Appends a hash of the app shell files (SHELL_FILES in sw.js) to APP_VERSION,
+ * so any change to the html, scripts or styles also changes sw.js and
+ * installed clients pick up the new shell. The deploy workflow runs it on every
+ * push; there is no need to run it locally (or to commit the result):
+ *
+ *     node scripts/stamp-sw.js
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT_DIR, 'sw.js');
+
+function shellFiles(source) {
+    const list = source.match(/const SHELL_FILES = \[([\s\S]*?)\];/);
+    if (!list) throw new Error('sw.js: expected a SHELL_FILES list');
+    return Array.from(list[1].matchAll(/'([^']+)'/g), match => match[1]).filter(file => file !== './');
+}
+
+function stamp() {
+    const source = fs.readFileSync(SW_FILE, 'utf8');
+    const version = source.match(/const APP_VERSION = '([^'+]+)(\+[0-9a-f]+)?';/);
+    if (!version) throw new Error("sw.js: expected const APP_VERSION = '...'");
+
+    const hash = crypto.createHash('sha256');
+    shellFiles(source).forEach(file => hash.update(`${file}\n`).update(fs.readFileSync(path.join(ROOT_DIR, file))));
+    const stamped = `${version[1]}+${hash.digest('hex').slice(0, 12)}`;
+
+    fs.writeFileSync(SW_FILE, source.replace(version[0], `const APP_VERSION = '${stamped}';`));
+    console.log(`sw.js: APP_VERSION ${stamped}`);
+}
+
+stamp();
@@ -0,0 +1,24 @@
+/**
+ * SEARCH WORKER
+ * Keeps the inverted index (lib/search-core.js) off the main thread.
+ *
+ * Messages in:
+ *   { type: 'add', records }         raw line records, sent as chunks stream in
+ *   { type: 'search', seq, query }   run a query
+ * Messages out:
+ *   { type: 'results', seq, query, results, terms }
+ */
+importScripts('lib/verse-data.js', 'lib/search-core.js');
+
+const index = SearchCore.createIndex();
+
+self.addEventListener('message', event => {
+    const { type, records, seq, query } = event.data || {};
+
+    if (type === 'add') {
+        index.addRecords(records);
+    } else if (type === 'search') {
+        const { results, terms } = index.search(query);
+        self.postMessage({ type: 'results', seq, query, results, terms });
+    }
+});
@@ -0,0 +1,289 @@
+/**
+ * SERVICE WORKER (Offline support)
+ *
+ * Caches:
+ *   - mrm-shell-<APP_VERSION> : index.html, scripts, styles, icons (precached, cache-first)
+ *   - mrm-data-<hash>         : data/manifest.json + the chunk (and related verses) files for one data version
+ *   - mrm-runtime             : fonts and CDN scripts (cache-first, filled on first use)
+ *   - mrm-meta                : which data version is active
+ *
+ * Data updates: the page asks us to check (CHECK_DATA_UPDATE). If the manifest
+ * on the network has a new hash we download that version into its own cache and
+ * tell the page (DATA_UPDATE_READY), which offers a reload. The new version only
+ * becomes active when the user accepts (ACTIVATE_DATA), so a session never mixes
+ * an old manifest with new chunks.
+ *
+ * Daily reminder: when the reader opts in, the page registers a periodic
+ * background sync ('daily-verse') and we show the Verse of the Day as a
+ * notification; tapping it opens #today.
+ */
+importScripts('lib/verse-data.js');
+
+// Bump for notable releases; the deploy adds a hash of the shell files (scripts/stamp-sw.js),
+// so every change to the html, js or css reinstalls the worker and clients pick it up
+const APP_VERSION = 'v1.2.0';
+
+const SHELL_CACHE = `mrm-shell-${APP_VERSION}`;
+const DATA_CACHE_PREFIX = 'mrm-data-';
+const RUNTIME_CACHE = 'mrm-runtime';
+const META_CACHE = 'mrm-meta';
+const ACTIVE_DATA_KEY = 'active-data-version';
+const MANIFEST_PATH = 'data/manifest.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'styles.css',
+    'lib/i18n.js',
+    'lib/verse-data.js',
+    'lib/search-core.js',
+    'lib/transliterate.js',
+    'lib/tags.js',
+    'lib/user-data.js',
+    'lib/share-card.js',
+    'lib/practice.js',
+    'lib/concordance.js',
+    'lib/verse-export.js',
+    'lib/read-aloud.js',
+    'search-worker.js',
+    'manifest.webmanifest',
+    'icon-192.png',
+    'icon-512.png',
+    'icon-maskable-512.png'
+];
+
+// Third-party assets used by index.html (fetched no-cors, so stored as opaque responses)
+const CDN_FILES = [
+    'https://cdn.tailwindcss.com',
+    'https://unpkg.com/lucide@latest',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;700&family=Noto+Sans+Kannada:wght@400;500;700&display=swap'
+];
+
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.tailwindcss.com', 'unpkg.com'];
+
+const scopeUrl = path => new URL(path, self.registration.scope).href;
+
+/**
+ * INSTALL: precache the app shell, CDN assets and the current data version
+ */
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES.map(scopeUrl));
+
+        // CDN assets are nice to have offline, but must not block installation
+        const runtime = await caches.open(RUNTIME_CACHE);
+        await Promise.allSettled(CDN_FILES.map(async url => {
+            const res = await fetch(url, { mode: 'no-cors' });
+            await runtime.put(url, res);
+        }));
+
+        // Only download data on first install; later versions go through CHECK_DATA_UPDATE
+        if (!(await getActiveDataVersion())) {
+            const manifest = await downloadDataVersion();
+            await setActiveDataVersion(manifest.hash);
+        }
+    })());
+});
+
+/**
+ * ACTIVATE: drop shell caches from older app versions
+ */
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('mrm-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * FETCH: cache-first everywhere; the data manifest always comes from the active data cache
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (isSameOrigin && url.href.split('?')[0] === scopeUrl(MANIFEST_PATH)) {
+        event.respondWith(serveManifest(request));
+    } else if (isSameOrigin && url.href.startsWith(scopeUrl('data/'))) {
+        event.respondWith(serveData(request));
+    } else if (isSameOrigin) {
+        event.respondWith(serveShell(request));
+    } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    }
+});
+
+/**
+ * MESSAGES from the page
+ */
+self.addEventListener('message', event => {
+    const { type, hash } = event.data || {};
+    const reply = message => event.source && event.source.postMessage(message);
+
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (type === 'CHECK_DATA_UPDATE') {
+        event.waitUntil(checkDataUpdate().then(newHash => {
+            if (newHash) reply({ type: 'DATA_UPDATE_READY', hash: newHash });
+        }).catch(() => { /* Offline or server error: try again next visit */ }));
+    } else if (type === 'ACTIVATE_DATA') {
+        event.waitUntil(activateDataVersion(hash).then(() => reply({ type: 'DATA_ACTIVATED', hash })));
+    }
+});
+
+/**
+ * DAILY REMINDER
+ */
+self.addEventListener('periodicsync', event => {
+    if (event.tag === 'daily-verse') event.waitUntil(showDailyVerseNotification());
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const url = scopeUrl('./#today');
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            const client = await windows[0].focus();
+            return client.navigate(url);
+        }
+        return self.clients.openWindow(url);
+    })());
+});
+
+// Works offline: everything comes from the active data cache
+async function showDailyVerseNotification() {
+    const version = await getActiveDataVersion();
+    if (!version) return;
+    const cacheName = DATA_CACHE_PREFIX + version;
+    const manifestRes = await caches.match(scopeUrl(MANIFEST_PATH), { cacheName });
+    if (!manifestRes) return;
+    const manifest = await manifestRes.json();
+    const id = VerseData.dailyVerseId(manifest, new Date());
+    if (id === null) return;
+
+    // First line of the verse as the body, when its chunk is cached
+    let body = `Verse ${id} is waiting for you`;
+    const chunk = manifest.chunks.find(c => id >= c.from && id <= c.to);
+    const chunkRes = chunk && await caches.match(scopeUrl(`data/${chunk.file}`), { cacheName });
+    if (chunkRes) {
+        const records = await chunkRes.json();
+        const first = records
+            .filter(r => Math.floor(r.verse_number) === id)
+            .sort((a, b) => a.line_number - b.line_number)[0];
+        if (first && first.kannada_original) body = `${first.kannada_original}…`;
+    }
+
+    await self.registration.showNotification('ಇಂದಿನ ಪದ್ಯ · Verse of the Day', {
+        body,
+        icon: scopeUrl('icon-192.png'),
+        tag: 'daily-verse', // Replaces yesterday's if it is still showing
+        data: { id }
+    });
+}
+
+async function serveShell(request) {
+    // Navigations (e.g. a reload on #verse/12) get index.html from the shell cache
+    if (request.mode === 'navigate') {
+        // Pre-rendered verse pages (verse/12/) are for link previews and crawlers: open the verse in the app
+        const verse = request.url.slice(scopeUrl('').length).match(/^verse\/(\d+)\/(index\.html)?(\?.*)?$/);
+        if (verse) return Response.redirect(scopeUrl(`#verse/${verse[1]}`), 302);
+        const cached = await caches.match(scopeUrl('index.html'), { cacheName: SHELL_CACHE });
+        if (cached) return cached;
+    }
+    return cacheFirst(request, SHELL_CACHE);
+}
+
+async function serveManifest(request) {
+    const version = await getActiveDataVersion();
+    if (version) {
+        const cached = await caches.match(scopeUrl(MANIFEST_PATH), { cacheName: DATA_CACHE_PREFIX + version });
+        if (cached) return cached;
+    }
+    return fetch(request);
+}
+
+// Chunk names are content-hashed, so a match in any data cache is the right file
+async function serveData(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const res = await fetch(request);
+    const version = await getActiveDataVersion();
+    if (res.ok && version) {
+        const cache = await caches.open(DATA_CACHE_PREFIX + version);
+        cache.put(request, res.clone());
+    }
+    return res;
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const res = await fetch(request);
+    if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+    return res;
+}
+
+/**
+ * DATA VERSIONS
+ */
+
+// Fetch the network manifest and all of its chunks into mrm-data-<hash>
+async function downloadDataVersion() {
+    const res = await fetch(scopeUrl(MANIFEST_PATH), { cache: 'no-store' });
+    if (!res.ok) throw new Error(`Manifest request failed with status ${res.status}`);
+    const manifest = await res.clone().json();
+
+    const cache = await caches.open(DATA_CACHE_PREFIX + manifest.hash);
+    const files = [...manifest.chunks, manifest.related].filter(Boolean).map(entry => scopeUrl(`data/${entry.file}`));
+    await cache.addAll(files);
+    // Store the manifest last: a data cache with a manifest is a complete one
+    await cache.put(scopeUrl(MANIFEST_PATH), res);
+    return manifest;
+}
+
+// Resolves with the new hash once a newer data version is fully downloaded
+async function checkDataUpdate() {
+    const res = await fetch(scopeUrl(MANIFEST_PATH), { cache: 'no-store' });
+    if (!res.ok) return null;
+    const { hash } = await res.json();
+    const active = await getActiveDataVersion();
+    if (!hash || hash === active) return null;
+
+    const staged = await caches.match(scopeUrl(MANIFEST_PATH), { cacheName: DATA_CACHE_PREFIX + hash });
+    if (!staged) await downloadDataVersion();
+    return hash;
+}
+
+async function activateDataVersion(hash) {
+    const staged = await caches.match(scopeUrl(MANIFEST_PATH), { cacheName: DATA_CACHE_PREFIX + hash });
+    if (!staged) return;
+
+    await setActiveDataVersion(hash);
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name.startsWith(DATA_CACHE_PREFIX) && name !== DATA_CACHE_PREFIX + hash)
+        .map(name => caches.delete(name)));
+}
+
+async function getActiveDataVersion() {
+    const cache = await caches.open(META_CACHE);
+    const res = await cache.match(ACTIVE_DATA_KEY);
+    return res ? res.text() : null;
+}
+
+async function setActiveDataVersion(hash) {
+    const cache = await caches.open(META_CACHE);
+    await cache.put(ACTIVE_DATA_KEY, new Response(hash));
+}